@@ -1,25 +1,46 @@
 #!/usr/bin/env node
 
 const fs = require('node:fs');
+const os = require('node:os');
 const path = require('node:path');
 const crypto = require('node:crypto');
 const { spawnSync } = require('node:child_process');
+const zlib = require('node:zlib');
 
-const BASE_URL = process.env.AFONT_API_BASE || 'https://typekit.com/api/v1/json';
-const TOKEN = process.env.ADOBE_FONTS_API_TOKEN || '';
+const DEFAULT_API_BASE = 'https://typekit.com/api/v1/json';
+// The `let` settings below start from the environment and are re-resolved by applyConfiguration()
+// once project config, user config and the active profile are known.
+let BASE_URL = process.env.AFONT_API_BASE || DEFAULT_API_BASE;
+let TOKEN = process.env.ADOBE_FONTS_API_TOKEN || '';
 const TOKEN_PAGE_URL = 'https://fonts.adobe.com/account/tokens';
-const DEFAULT_KIT = process.env.ADOBE_FONTS_DEFAULT_KIT || '';
-const DEFAULT_DOMAINS = process.env.ADOBE_FONTS_DEFAULT_DOMAINS || '';
-const CACHE_MAX_AGE_HOURS = Number.parseInt(process.env.AFONT_CACHE_MAX_AGE_HOURS || '168', 10);
-const HTTP_TIMEOUT_MS = Number.parseInt(process.env.AFONT_HTTP_TIMEOUT_MS || '25000', 10);
-const HTTP_MAX_RETRIES = Number.parseInt(process.env.AFONT_HTTP_MAX_RETRIES || '2', 10);
-const HTTP_RETRY_BASE_MS = Number.parseInt(process.env.AFONT_HTTP_RETRY_BASE_MS || '500', 10);
+let DEFAULT_KIT = process.env.ADOBE_FONTS_DEFAULT_KIT || '';
+let DEFAULT_DOMAINS = process.env.ADOBE_FONTS_DEFAULT_DOMAINS || '';
+let CACHE_MAX_AGE_HOURS = Number.parseInt(process.env.AFONT_CACHE_MAX_AGE_HOURS || '168', 10);
+let HTTP_TIMEOUT_MS = Number.parseInt(process.env.AFONT_HTTP_TIMEOUT_MS || '25000', 10);
+let HTTP_MAX_RETRIES = Number.parseInt(process.env.AFONT_HTTP_MAX_RETRIES || '2', 10);
+let HTTP_RETRY_BASE_MS = Number.parseInt(process.env.AFONT_HTTP_RETRY_BASE_MS || '500', 10);
 const DEFAULT_SKILL_DIR = process.env.AFONT_SKILL_DIR || path.dirname(path.dirname(__filename));
-const CACHE_DIR = process.env.AFONT_CACHE_DIR || path.join(DEFAULT_SKILL_DIR, '.cache');
-const CACHE_DB = path.join(CACHE_DIR, 'fonts.sqlite3');
+let BASE_CACHE_DIR = process.env.AFONT_CACHE_DIR || path.join(DEFAULT_SKILL_DIR, '.cache');
+let CACHE_DIR = BASE_CACHE_DIR;
+let CACHE_DB = path.join(CACHE_DIR, 'fonts.sqlite3');
+const CONFIG_DIR = process.env.AFONT_CONFIG_DIR
+  || path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'afont');
+const PROFILES_FILE = path.join(CONFIG_DIR, 'profiles.json');
+const USER_CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const PROJECT_CONFIG_FILES = ['afont.config.json', '.afontrc'];
+let ACTIVE_PROFILE = { name: '', source: 'none', tokenSource: 'unset' };
+let ACTIVE_CONFIG = { projectFile: '', userFile: '', settings: {}, flagDefaults: [], unknownKeys: [], warnings: [] };
 const WARMUP_REFRESH_PER_PAGE = 500;
 const WARMUP_REFRESH_MAX_PAGES = 40;
 const CACHE_WARMUP_COMMAND = `afont index refresh --per-page ${WARMUP_REFRESH_PER_PAGE} --max-pages ${WARMUP_REFRESH_MAX_PAGES}`;
+let CSS_BASE_URL = process.env.AFONT_CSS_BASE || 'https://use.typekit.net';
+let FONT_MIRROR_DIR = process.env.AFONT_FONT_MIRROR_DIR || '';
+let BUDGET_MAX_VARIATIONS = toNonNegativeInt(process.env.AFONT_BUDGET_MAX_VARIATIONS || '0', 0);
+let BUDGET_MAX_KB = toNonNegativeInt(process.env.AFONT_BUDGET_MAX_KB || '0', 0);
+let SQLITE_BACKEND = process.env.AFONT_SQLITE_BACKEND || 'auto';
+const SQLITE_BACKENDS = ['auto', 'node', 'cli', 'none'];
+const SQLITE_UNAVAILABLE_MESSAGE = 'SQLite is not available (needs node:sqlite on Node 22.5+ or the sqlite3 CLI)';
+const ESTIMATED_VARIATION_BYTES = 30 * 1024;
 const VIEW_DEFAULT_WIDTH = 1440;
 const VIEW_DEFAULT_HEIGHT = 2200;
 const VIEW_DEFAULT_WAIT_MS = 1200;
@@ -56,23 +77,42 @@ function parseArgs(argv) {
     if (eq !== -1) {
       const key = part.slice(2, eq);
       const value = part.slice(eq + 1);
-      flags[key] = value;
+      setFlag(flags, key, value);
       continue;
     }
 
     const key = part.slice(2);
     const next = argv[i + 1];
     if (next && !next.startsWith('--')) {
-      flags[key] = next;
+      setFlag(flags, key, next);
       i += 1;
     } else {
-      flags[key] = true;
+      setFlag(flags, key, true);
     }
   }
 
   return { positional, flags };
 }
 
+// Only these flags may repeat (--family a --family b); any other repeated flag keeps its last value.
+const LIST_FLAGS = new Set(['family', 'domain']);
+
+function setFlag(flags, key, value) {
+  if (LIST_FLAGS.has(key) && Object.prototype.hasOwnProperty.call(flags, key) && value !== true && flags[key] !== true) {
+    flags[key] = [].concat(flags[key], value);
+  } else {
+    flags[key] = value;
+  }
+}
+
+function flagValues(value) {
+  if (value === undefined || value === true) return [];
+  return [].concat(value)
+    .filter((item) => item !== true)
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
 function isJson(flags) {
   return Boolean(flags.json);
 }
@@ -110,6 +150,9 @@ function fail(message, code = 1, details = undefined, jsonMode = false) {
 }
 
 function printPayload(payload, jsonMode) {
+  if (Array.isArray(payload.result.warnings)) {
+    payload.result.warnings.push(...ACTIVE_CONFIG.warnings.filter((warning) => !payload.result.warnings.includes(warning)));
+  }
   if (jsonMode) {
     process.stdout.write(`${JSON.stringify(payload, null, 2)}\n`);
     return;
@@ -126,6 +169,45 @@ function printPayload(payload, jsonMode) {
   if (result.kit) {
     process.stdout.write(`kit: ${result.kit.name || 'unknown'} (${result.kit.id || 'unknown'})\n`);
   }
+  if (result.domains) {
+    process.stdout.write(`domains: ${result.domains.after.join(', ') || '(none)'}\n`);
+    for (const domain of result.domains.added) process.stdout.write(`+ ${domain}\n`);
+    for (const domain of result.domains.removed) process.stdout.write(`- ${domain}\n`);
+  }
+  if (result.settings) {
+    process.stdout.write(`settings: subset=${result.settings.subset} font-display=${result.settings.fontDisplay} opentype-features=${result.settings.openTypeFeatures ? 'on' : 'off'}\n`);
+    for (const change of result.changes || []) {
+      process.stdout.write(`~ ${change.setting}: ${change.before} -> ${change.after}\n`);
+    }
+  }
+  if (result.profiles) {
+    process.stdout.write(`profiles (${result.profilesFile}):\n`);
+    for (const profile of result.profiles) {
+      const marks = [profile.default ? 'default' : '', profile.active ? 'active' : ''].filter(Boolean).join(', ');
+      process.stdout.write(`- ${profile.name}${marks ? ` [${marks}]` : ''} kit=${profile.defaultKit || '-'} token=${profile.token}\n`);
+    }
+  }
+  if (result.profile) {
+    process.stdout.write(`profile: ${result.profile.name || '(none)'} (selected by ${result.profile.selectedBy})\n`);
+    process.stdout.write(`token: ${result.profile.tokenPresent ? `present (${result.profile.tokenSource})` : 'missing'}\n`);
+    process.stdout.write(`cache: ${result.profile.cacheDir}\n`);
+  }
+  if (result.config) {
+    process.stdout.write(`project config: ${result.config.projectFile || '(none)'}\n`);
+    process.stdout.write(`user config: ${result.config.userFile || '(none)'}\n`);
+    for (const setting of result.config.settings) {
+      process.stdout.write(`- ${setting.key} = ${setting.value === '' ? '(unset)' : setting.value} [${setting.source}]\n`);
+    }
+    for (const item of result.config.flagDefaults) {
+      process.stdout.write(`- ${item.scope} --${item.flag} = ${item.value} [${item.source}]\n`);
+    }
+  }
+  if (result.schema) {
+    process.stdout.write(`schema: v${result.schema.fromVersion} -> v${result.schema.schemaVersion} (${result.schema.dbPath})\n`);
+    for (const migration of result.schema.pending || result.schema.applied) {
+      process.stdout.write(`${result.dryRun ? '~' : '+'} ${migration.version}: ${migration.description}\n`);
+    }
+  }
   if (result.checks) {
     for (const [key, value] of Object.entries(result.checks)) {
       process.stdout.write(`${key}: ${value}\n`);
@@ -154,6 +236,19 @@ function printPayload(payload, jsonMode) {
   if (result.codex && result.codex.markdownImage) {
     process.stdout.write(`codex: ${result.codex.markdownImage}\n`);
   }
+  if (result.families && result.families.length > 0) {
+    process.stdout.write(`families:\n`);
+    for (const family of result.families) {
+      const variations = family.variations.map((v) => `${v.weight}${v.style === 'normal' ? '' : ` ${v.style}`}`).join(', ');
+      process.stdout.write(`- ${family.name || family.slug} (${family.cssNames.join(', ')}): ${variations || 'default variations'}\n`);
+    }
+  }
+  if (result.published) {
+    process.stdout.write(`published: ${result.published.exists ? (result.published.draftDiffers ? 'yes, draft has unpublished changes' : 'yes, matches draft') : 'no'}\n`);
+  }
+  if (result.didYouMean) {
+    process.stdout.write(`did you mean: ${result.didYouMean}\n`);
+  }
   if (result.fonts && result.fonts.length > 0) {
     process.stdout.write(`fonts:\n`);
     for (const font of result.fonts) {
@@ -170,6 +265,71 @@ function printPayload(payload, jsonMode) {
         process.stdout.write(`- ${css}\n`);
       }
     }
+    if (result.snippets.resolvedCssExamples && result.snippets.resolvedCssExamples.length > 0) {
+      process.stdout.write(`resolved css:\n`);
+      for (const css of result.snippets.resolvedCssExamples) {
+        process.stdout.write(`- ${css}\n`);
+      }
+    }
+    if (result.snippets.code) {
+      process.stdout.write(`${result.snippets.format}:\n${result.snippets.code}\n`);
+    }
+  }
+  if (result.export && result.export.file) {
+    process.stdout.write(`export: ${result.export.file} (${result.export.format}, ${result.export.families.length} families)\n`);
+  }
+  if (result.audit) {
+    process.stdout.write(`audit: ${result.audit.filesScanned} files, ${result.audit.declarations} declarations\n`);
+    for (const family of result.audit.missingFamilies) {
+      process.stdout.write(`- not in kit: ${family.family} (${family.occurrences.map((o) => `${o.file}:${o.line}`).join(', ')})\n`);
+    }
+    for (const variation of result.audit.missingVariations) {
+      process.stdout.write(`- missing variation: ${variation.family} ${variation.weight} ${variation.style} (${variation.occurrences.map((o) => `${o.file}:${o.line}`).join(', ')})\n`);
+    }
+    for (const slug of result.audit.unusedFamilies) {
+      process.stdout.write(`- unused in code: ${slug}\n`);
+    }
+  }
+  if (result.budget) {
+    process.stdout.write(`budget: ${result.budget.families} families, ${result.budget.variations} variations, ~${result.budget.estimatedKb} KB\n`);
+    for (const violation of result.budget.violations) {
+      process.stdout.write(`- ${violation}\n`);
+    }
+  }
+  if (result.lock) {
+    process.stdout.write(`lock: ${result.lock.file} (${result.lock.hash})\n`);
+    if (result.lock.drift !== undefined) {
+      process.stdout.write(`drift: ${result.lock.drift}\n`);
+    }
+  }
+  if (result.diff && result.diff.changed) {
+    process.stdout.write(`diff:\n`);
+    for (const line of describeKitDiff(result.diff)) {
+      process.stdout.write(`- ${line}\n`);
+    }
+  }
+  if (result.backup && result.backup.file) {
+    process.stdout.write(`backup: ${result.backup.file}\n`);
+  }
+  if (result.snapshots) {
+    process.stdout.write(`snapshots:\n`);
+    for (const snapshot of result.snapshots) {
+      process.stdout.write(`- #${snapshot.id} ${snapshot.createdAt} families=${snapshot.familyCount} variations=${snapshot.variationCount}\n`);
+    }
+  }
+  if (result.additions && result.additions.length > 1) {
+    process.stdout.write(`additions:\n`);
+    for (const addition of result.additions) {
+      process.stdout.write(addition.ok
+        ? `- ${addition.family}: ok (${addition.variations.join(',') || 'default variations'})\n`
+        : `- ${addition.family}: failed: ${addition.error}\n`);
+    }
+  }
+  if (result.plan && result.plan.length > 0) {
+    process.stdout.write(`plan:\n`);
+    for (const step of result.plan) {
+      process.stdout.write(`- ${describePlanStep(step)}\n`);
+    }
   }
   if (result.nextActions && result.nextActions.length > 0) {
     process.stdout.write(`next actions:\n`);
@@ -179,8 +339,35 @@ function printPayload(payload, jsonMode) {
   }
 }
 
+function describePlanStep(step) {
+  let text = step.action;
+  if (step.family) text += ` ${step.family}`;
+  if (step.name) text += ` ${step.name}`;
+  if (step.variations && step.variations.length > 0) text += ` (${step.variations.join(',')})`;
+  if (step.after) text += ` -> ${step.after.join(',')}`;
+  if (step.status) text += ` [${step.status}]`;
+  if (step.error) text += `: ${step.error}`;
+  return text;
+}
+
+function describeKitDiff(diff) {
+  const lines = [];
+  for (const domain of diff.domains.added) lines.push(`domain added: ${domain}`);
+  for (const domain of diff.domains.removed) lines.push(`domain removed: ${domain}`);
+  for (const family of diff.families.added) lines.push(`family added: ${family}`);
+  for (const family of diff.families.removed) lines.push(`family removed: ${family}`);
+  for (const entry of diff.families.changed) {
+    const parts = [];
+    if (entry.added.length > 0) parts.push(`+${entry.added.join(',')}`);
+    if (entry.removed.length > 0) parts.push(`-${entry.removed.join(',')}`);
+    if (entry.cssNames) parts.push(`css names ${entry.cssNames.before.join(',')} -> ${entry.cssNames.after.join(',')}`);
+    lines.push(`family changed: ${entry.family} ${parts.join(' ')}`);
+  }
+  return lines;
+}
+
 function usage() {
-  return `afont - Adobe Fonts/Typekit CLI\n\nUsage:\n  afont doctor [--json]\n  afont search --query <text> [--classification <name>] [--language <code>] [--limit <n>] [--per-page <n>] [--max-pages <n>] [--refresh-cache] [--cache-only] [--no-cache] [--confirm-uncached] [--json]\n  afont view --family <slug|name> [--url <https://...>] [--output-dir <path>] [--filename <name>] [--width <px>] [--height <px>] [--wait-ms <ms>] [--timeout-ms <ms>] [--full-page] [--dry-run] [--json]\n  afont index refresh [--library <id>] [--per-page <n>] [--max-pages <n>] [--json]\n  afont index status [--json]\n  afont index stats [--limit <n>] [--json]\n  afont kits list [--json]\n  afont kits ensure --name <kit-name> [--domains <d1,d2>] [--dry-run] [--json]\n  afont kits add-family --kit <id|name> --family <slug> [--weights <comma-list>] [--styles <comma-list>] [--dry-run] [--json]\n  afont kits publish --kit <id|name> [--dry-run] [--json]\n  afont kits embed --kit <id|name> [--json]\n`;
+  return `afont - Adobe Fonts/Typekit CLI\n\nUsage:\n  afont doctor [--json]\n  afont profile list|current [--json]\n  afont profile add --name <name> [--token <token> | --token-file <path>] [--kit <id|name>] [--domains <d1,d2>] [--api-base <url>] [--default] [--dry-run] [--json]\n  afont profile remove --name <name> [--dry-run] [--json]\n  afont config show [--json]\n  afont search --query <text> [--classification <name>] [--language <code>] [--foundry <names>] [--exclude-foundry <names>] [--min-weights <n>] [--weights <300,700>] [--has-italic] [--css-stack <stack>] [--limit <n>] [--per-page <n>] [--max-pages <n>] [--refresh-cache] [--cache-only] [--no-cache] [--confirm-uncached] [--json]\n  afont view --family <slug|name> [--url <https://...>] [--output-dir <path>] [--filename <name>] [--width <px>] [--height <px>] [--wait-ms <ms>] [--timeout-ms <ms>] [--full-page] [--dry-run] [--json]\n  afont audit --kit <id|name> [--path <dir|file>] [--strict] [--json]\n  afont index refresh [--library <id>] [--per-page <n>] [--max-pages <n>] [--json]\n  afont index status [--json]\n  afont index stats [--limit <n>] [--json]\n  afont index migrate [--rebuild] [--dry-run] [--json]\n  afont kits list [--json]\n  afont kits ensure --name <kit-name> [--domains <d1,d2>] [--dry-run] [--json]\n  afont kits add-family --kit <id|name> --family <slug[:weights[:styles]]> [--family ...] [--families-file <path>] [--weights <comma-list|range>] [--styles <comma-list>] [--all-variations] [--skip-unavailable] [--dry-run] [--json]\n  afont kits remove-family --kit <id|name> --family <slug> [--dry-run] [--json]\n  afont kits update-family --kit <id|name> --family <slug> --weights <comma-list> [--styles <comma-list>] [--skip-unavailable] [--dry-run] [--json]\n  afont kits apply [--file <afont.kit.json>] [--publish] [--confirm] [--dry-run] [--json]\n  afont kits publish --kit <id|name> [--require-changes] [--confirm] [--dry-run] [--json]\n  afont kits clone --from <id|name> --name <new-name> --domains <d1,d2> [--publish] [--dry-run] [--json]\n  afont kits delete --kit <id|name> --yes [--dry-run] [--json]\n  afont kits restore --file <backup.json> [--name <kit-name>] [--domains <d1,d2>] [--publish] [--dry-run] [--json]\n  afont kits domains list --kit <id|name> [--json]\n  afont kits domains add|remove --kit <id|name> --domain <host> [--domain ...] [--dry-run] [--json]\n  afont kits settings --kit <id|name> [--subset default|all|none] [--font-display auto|block|swap|fallback|optional] [--opentype-features on|off] [--dry-run] [--json]\n  afont kits history --kit <id|name> [--limit <n>] [--json]\n  afont kits rollback --kit <id|name> --to <snapshot-id> [--confirm] [--dry-run] [--json]\n  afont kits embed --kit <id|name> [--format next|astro|vite|html|css-import|js-loader] [--resolve-css] [--css-base <url>] [--json]\n  afont kits budget --kit <id|name> [--max-variations <n>] [--max-kb <n>] [--mirror <dir>] [--css-base <url>] [--json]\n  afont kits export --kit <id|name> --format tokens|tailwind|scss|css-vars [--output <path>] [--resolve-css] [--css-base <url>] [--json]\n  afont kits show --kit <id|name> [--json]\n  afont kits lock --kit <id|name> [--file <afont.lock.json>] [--json]\n  afont kits verify-lock [--file <afont.lock.json>] [--kit <id|name>] [--json]\n\nGlobal: --profile <name> (or AFONT_PROFILE) selects a profile from ~/.config/afont/profiles.json.\nDefaults are also read from afont.config.json or .afontrc (nearest parent directory) and ~/.config/afont/config.json.\n`;
 }
 
 function normalizeFont(item) {
@@ -252,6 +439,218 @@ function kitCssExamples(kit) {
   return examples;
 }
 
+const EMBED_FORMATS = ['html', 'next', 'astro', 'vite', 'css-import', 'js-loader'];
+const TYPEKIT_PRECONNECT_ORIGINS = ['https://use.typekit.net', 'https://p.typekit.net'];
+
+function preconnectTags(jsx = false) {
+  return TYPEKIT_PRECONNECT_ORIGINS.map((origin) => (jsx
+    ? `<link rel="preconnect" href="${origin}" crossOrigin="anonymous" />`
+    : `<link rel="preconnect" href="${origin}" crossorigin>`));
+}
+
+function typekitLoaderScript(kitId) {
+  return [
+    '<script>',
+    '  (function(d) {',
+    `    var config = { kitId: '${kitId}', scriptTimeout: 3000, async: true },`,
+    '    h=d.documentElement,t=setTimeout(function(){h.className=h.className.replace(/\\bwf-loading\\b/g,"")+" wf-inactive";},config.scriptTimeout),tk=d.createElement("script"),f=false,s=d.getElementsByTagName("script")[0],a;h.className+=" wf-loading";tk.src=\'https://use.typekit.net/\'+config.kitId+\'.js\';tk.async=true;tk.onload=tk.onreadystatechange=function(){a=this.readyState;if(f||a&&a!="complete"&&a!="loaded")return;f=true;clearTimeout(t);try{Typekit.load(config)}catch(e){}};s.parentNode.insertBefore(tk,s)',
+    '  })(document);',
+    '</script>',
+  ].join('\n');
+}
+
+function embedSnippet(format, kit) {
+  const linkTag = kit.htmlLinkTag;
+  const htmlHead = [...preconnectTags(), linkTag];
+  if (format === 'css-import') {
+    return `@import url("${kit.embedUrl}");`;
+  }
+  if (format === 'js-loader') {
+    return [...preconnectTags(), typekitLoaderScript(kit.id)].join('\n');
+  }
+  if (format === 'next') {
+    return [
+      '// app/layout.tsx',
+      'export default function RootLayout({ children }: { children: React.ReactNode }) {',
+      '  return (',
+      '    <html lang="en">',
+      '      <head>',
+      ...preconnectTags(true).map((tag) => `        ${tag}`),
+      `        <link rel="stylesheet" href="${kit.embedUrl}" />`,
+      '      </head>',
+      '      <body>{children}</body>',
+      '    </html>',
+      '  );',
+      '}',
+    ].join('\n');
+  }
+  if (format === 'astro') {
+    return [
+      '---',
+      '// src/layouts/Layout.astro',
+      '---',
+      '<head>',
+      ...htmlHead.map((tag) => `  ${tag}`),
+      '</head>',
+    ].join('\n');
+  }
+  if (format === 'vite') {
+    return [
+      '<!-- index.html (inside <head>) -->',
+      ...htmlHead,
+    ].join('\n');
+  }
+  return htmlHead.join('\n');
+}
+
+function splitCssDeclarations(block) {
+  const parts = [];
+  let depth = 0;
+  let quote = '';
+  let current = '';
+  for (const char of block) {
+    if (quote) {
+      if (char === quote) quote = '';
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ';' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function unquoteCss(value) {
+  return String(value || '').trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+function parseFontFaces(css) {
+  const faces = [];
+  const pattern = /@font-face\s*\{([^}]*)\}/g;
+  let match;
+  while ((match = pattern.exec(String(css || ''))) !== null) {
+    const props = {};
+    for (const declaration of splitCssDeclarations(match[1])) {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) continue;
+      props[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).trim();
+    }
+    if (!props['font-family']) continue;
+    const urls = [];
+    const urlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+    let urlMatch;
+    while ((urlMatch = urlPattern.exec(props.src || '')) !== null) {
+      urls.push(urlMatch[2]);
+    }
+    faces.push({
+      fontFamily: unquoteCss(props['font-family']),
+      weight: props['font-weight'] || '400',
+      style: props['font-style'] || 'normal',
+      unicodeRange: props['unicode-range'] || '',
+      display: props['font-display'] || '',
+      src: urls,
+    });
+  }
+  return faces;
+}
+
+function kitStylesheetUrl(kitId, base = CSS_BASE_URL) {
+  return `${String(base).replace(/\/+$/, '')}/${encodeURIComponent(kitId)}.css`;
+}
+
+async function fetchKitStylesheet(kitId, base) {
+  const url = kitStylesheetUrl(kitId, base);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`timeout after ${HTTP_TIMEOUT_MS}ms`)), HTTP_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { headers: { Accept: 'text/css' }, signal: controller.signal });
+    const css = await response.text();
+    if (!response.ok) {
+      const error = new Error(`Request failed: GET ${url} -> HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return { url, css, bytes: Buffer.byteLength(css) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function resolveStylesheetFamilies(kit, faces, warnings) {
+  const byName = new Map();
+  for (const face of faces) {
+    if (!byName.has(face.fontFamily)) byName.set(face.fontFamily, []);
+    byName.get(face.fontFamily).push({
+      weight: face.weight,
+      style: face.style,
+      unicodeRange: face.unicodeRange,
+    });
+  }
+
+  const kitFamilies = Array.isArray(kit.families) ? kit.families : [];
+  const candidatesOf = (f) => {
+    const guessed = f.css_names?.[0] || f.css_name || f.name || '';
+    return { guessed, candidates: [...(Array.isArray(f.css_names) ? f.css_names : []), guessed].filter(Boolean) };
+  };
+  // Names another family matches exactly are never available as an alias ("source-sans" vs "source-sans-3").
+  const exact = new Set(kitFamilies.flatMap((f) => candidatesOf(f).candidates.filter((name) => byName.has(name))));
+  const claimed = new Set();
+  const families = [];
+  for (const f of kitFamilies) {
+    const { guessed, candidates } = candidatesOf(f);
+    // Typekit only ever appends a numeric alias ("droid-serif-1"), so a longer family name is not an alias.
+    const cssName = candidates.find((name) => byName.has(name))
+      || Array.from(byName.keys()).find((name) => !claimed.has(name) && !exact.has(name)
+        && candidates.some((candidate) => name.startsWith(`${candidate}-`) && /^\d+$/.test(name.slice(candidate.length + 1))))
+      || '';
+    if (cssName) {
+      claimed.add(cssName);
+      if (cssName !== guessed) {
+        warnings.push(`Stylesheet declares "${cssName}" for ${f.slug || f.id || guessed}, not the guessed "${guessed}".`);
+      }
+    } else {
+      warnings.push(`No @font-face rules found for ${f.slug || f.id || guessed} in the published stylesheet; the kit may need publishing.`);
+    }
+    families.push({
+      family: f.slug || f.id || '',
+      guessedCssName: guessed,
+      cssName,
+      cssStack: f.css_stack || f.stack || 'sans-serif',
+      faces: cssName ? byName.get(cssName) : [],
+    });
+  }
+
+  for (const [name, nameFaces] of byName) {
+    if (!claimed.has(name)) {
+      families.push({ family: '', guessedCssName: '', cssName: name, cssStack: '', faces: nameFaces });
+    }
+  }
+  return families;
+}
+
+async function resolveKitStylesheet(kit, flags, warnings) {
+  const base = flags['css-base'] && flags['css-base'] !== true ? String(flags['css-base']) : CSS_BASE_URL;
+  try {
+    const fetched = await fetchKitStylesheet(normalizeKit(kit).id, base);
+    return {
+      url: fetched.url,
+      bytes: fetched.bytes,
+      families: resolveStylesheetFamilies(kit, parseFontFaces(fetched.css), warnings),
+    };
+  } catch (err) {
+    warnings.push(`Could not resolve CSS names from the published stylesheet: ${err.message}`);
+    return null;
+  }
+}
+
 function serializeForm(fields) {
   const body = new URLSearchParams();
   for (const [key, value] of Object.entries(fields)) {
@@ -764,9 +1163,14 @@ function ensureCacheDir() {
   fs.mkdirSync(CACHE_DIR, { recursive: true });
 }
 
+let SQLITE_CLI_AVAILABLE = null;
+
 function hasSqliteCli() {
-  const result = spawnSync('sqlite3', ['-version'], { encoding: 'utf8' });
-  return result.status === 0;
+  if (SQLITE_CLI_AVAILABLE === null) {
+    const result = spawnSync('sqlite3', ['-version'], { encoding: 'utf8' });
+    SQLITE_CLI_AVAILABLE = result.status === 0;
+  }
+  return SQLITE_CLI_AVAILABLE;
 }
 
 function runSqlite(sql, options = {}) {
@@ -795,43 +1199,379 @@ function runSqlite(sql, options = {}) {
   return result.stdout;
 }
 
+function sqlValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  return sqlLiteral(value);
+}
+
+// The CLI has no bind API, so `?` placeholders outside string literals are inlined as escaped values.
+function bindSqlParams(sql, params = []) {
+  if (params.length === 0) return sql;
+  let index = 0;
+  const bound = sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|\?/g, (match) => {
+    if (match !== '?') return match;
+    if (index >= params.length) throw new Error(`Missing SQL parameter ${index + 1}`);
+    return sqlValue(params[index++]);
+  });
+  if (index !== params.length) throw new Error(`Expected ${index} SQL parameters, got ${params.length}`);
+  return bound;
+}
+
+function sqliteCliDriver() {
+  return {
+    backend: 'sqlite3-cli',
+    all: (sql, params) => runSqlite(bindSqlParams(sql, params), { json: true }),
+    run: (sql, params) => {
+      const rows = runSqlite(`${bindSqlParams(sql, params)}\nSELECT changes() AS changes, last_insert_rowid() AS lastInsertRowid;`, { json: true });
+      return { changes: Number(rows[0]?.changes) || 0, lastInsertRowid: Number(rows[0]?.lastInsertRowid) || 0 };
+    },
+    exec: (sql) => {
+      runSqlite(sql);
+    },
+    batch: (steps) => {
+      runSqlite([
+        '.bail on',
+        'BEGIN;',
+        ...steps.map((step) => (typeof step === 'string' ? step : bindSqlParams(step.sql, step.params))),
+        'COMMIT;',
+      ].join('\n'));
+    },
+    close: () => {},
+  };
+}
+
+// node:sqlite is built in from Node 22.5 (unflagged since 22.13) and prints an ExperimentalWarning
+// on first load, which would otherwise end up in every command's stderr.
+function loadNodeSqlite() {
+  const emitWarning = process.emitWarning;
+  process.emitWarning = (warning, ...args) => {
+    if (String(warning?.message || warning).includes('SQLite')) return;
+    emitWarning.call(process, warning, ...args);
+  };
+  try {
+    return require('node:sqlite');
+  } catch {
+    return null;
+  } finally {
+    process.emitWarning = emitWarning;
+  }
+}
+
+function nodeSqliteDriver(sqlite) {
+  let db = null;
+  let dbPath = '';
+  const statements = new Map();
+  const close = () => {
+    if (db) db.close();
+    db = null;
+    dbPath = '';
+    statements.clear();
+  };
+  const open = () => {
+    if (db && dbPath === CACHE_DB) return db;
+    close();
+    ensureCacheDir();
+    db = new sqlite.DatabaseSync(CACHE_DB);
+    dbPath = CACHE_DB;
+    db.exec('PRAGMA busy_timeout = 5000;');
+    return db;
+  };
+  const prepare = (sql) => {
+    const conn = open();
+    if (!statements.has(sql)) statements.set(sql, conn.prepare(sql));
+    return statements.get(sql);
+  };
+  return {
+    backend: 'node:sqlite',
+    all: (sql, params = []) => prepare(sql).all(...params).map((row) => ({ ...row })),
+    run: (sql, params = []) => {
+      const result = prepare(sql).run(...params);
+      return { changes: Number(result.changes), lastInsertRowid: Number(result.lastInsertRowid) };
+    },
+    exec: (sql) => {
+      open().exec(sql);
+    },
+    batch: (steps) => {
+      const conn = open();
+      conn.exec('BEGIN;');
+      try {
+        for (const step of steps) {
+          if (typeof step === 'string') conn.exec(step);
+          else prepare(step.sql).run(...(step.params || []));
+        }
+        conn.exec('COMMIT;');
+      } catch (err) {
+        try {
+          conn.exec('ROLLBACK;');
+        } catch {
+          // The failed statement may already have ended the transaction.
+        }
+        throw err;
+      }
+    },
+    close,
+  };
+}
+
+let SQLITE_DRIVER;
+
+function sqliteDriver() {
+  if (SQLITE_DRIVER !== undefined) return SQLITE_DRIVER;
+  const backend = SQLITE_BACKENDS.includes(SQLITE_BACKEND) ? SQLITE_BACKEND : 'auto';
+  const nodeSqlite = ['auto', 'node'].includes(backend) ? loadNodeSqlite() : null;
+  if (nodeSqlite) {
+    SQLITE_DRIVER = nodeSqliteDriver(nodeSqlite);
+  } else if (['auto', 'cli'].includes(backend) && hasSqliteCli()) {
+    SQLITE_DRIVER = sqliteCliDriver();
+  } else {
+    SQLITE_DRIVER = null;
+  }
+  return SQLITE_DRIVER;
+}
+
+function sqliteBackend() {
+  return sqliteDriver()?.backend || 'none';
+}
+
+function hasSqlite() {
+  return sqliteDriver() !== null;
+}
+
+function requireSqlite() {
+  const driver = sqliteDriver();
+  if (!driver) throw new Error(SQLITE_UNAVAILABLE_MESSAGE);
+  return driver;
+}
+
+function sqliteAll(sql, params = []) {
+  return requireSqlite().all(sql, params);
+}
+
+function sqliteRun(sql, params = []) {
+  return requireSqlite().run(sql, params);
+}
+
+function sqliteExec(sql) {
+  requireSqlite().exec(sql);
+}
+
+// Steps are SQL scripts or { sql, params } statements; all of them commit together or not at all.
+function sqliteBatch(steps) {
+  requireSqlite().batch(steps);
+}
+
+function closeSqlite() {
+  if (SQLITE_DRIVER) SQLITE_DRIVER.close();
+}
+
+// Ordered, append-only: never edit a shipped migration, add a new one. Statements stay idempotent
+// so caches written before schema_version existed (version 0) upgrade in place.
+const INDEX_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'families, metadata, page hashes and full-text tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS families (
+        id TEXT PRIMARY KEY,
+        slug TEXT,
+        name TEXT NOT NULL,
+        description TEXT,
+        web_link TEXT,
+        classification TEXT,
+        foundry TEXT,
+        css_stack TEXT,
+        languages_json TEXT,
+        variations_json TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS metadata (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS page_hashes (
+        library_id TEXT NOT NULL,
+        page INTEGER NOT NULL,
+        hash TEXT NOT NULL,
+        family_count INTEGER NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (library_id, page)
+      );
+      CREATE VIRTUAL TABLE IF NOT EXISTS families_fts USING fts5(
+        id UNINDEXED,
+        slug,
+        name,
+        description,
+        classification,
+        foundry
+      );
+    `,
+  },
+  {
+    version: 2,
+    description: 'kit publish snapshots',
+    sql: `
+      CREATE TABLE IF NOT EXISTS kit_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kit_id TEXT NOT NULL,
+        kit_name TEXT,
+        hash TEXT NOT NULL,
+        snapshot_json TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS kit_snapshots_kit_id ON kit_snapshots (kit_id, id);
+    `,
+  },
+  {
+    version: 3,
+    description: 'trigram table for typo-tolerant search',
+    sql: `
+      CREATE TABLE IF NOT EXISTS family_trigrams (
+        trigram TEXT NOT NULL,
+        family_id TEXT NOT NULL,
+        PRIMARY KEY (trigram, family_id)
+      ) WITHOUT ROWID;
+    `,
+    rebuildsDerived: true,
+  },
+  {
+    version: 4,
+    description: 'normalized language and variation tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS family_languages (
+        family_id TEXT NOT NULL,
+        language TEXT NOT NULL,
+        PRIMARY KEY (family_id, language)
+      ) WITHOUT ROWID;
+      CREATE INDEX IF NOT EXISTS family_languages_language ON family_languages (language, family_id);
+      CREATE TABLE IF NOT EXISTS family_variations (
+        family_id TEXT NOT NULL,
+        fvd TEXT NOT NULL,
+        weight INTEGER NOT NULL,
+        style TEXT NOT NULL,
+        PRIMARY KEY (family_id, fvd)
+      ) WITHOUT ROWID;
+      CREATE INDEX IF NOT EXISTS family_variations_weight ON family_variations (weight, style, family_id);
+      CREATE INDEX IF NOT EXISTS family_variations_style ON family_variations (style, family_id);
+    `,
+    rebuildsDerived: true,
+  },
+];
+const SCHEMA_VERSION = INDEX_MIGRATIONS[INDEX_MIGRATIONS.length - 1].version;
+
+let SCHEMA_READY_DB = '';
+
+function readSchemaVersion() {
+  if (!fs.existsSync(CACHE_DB)) return 0;
+  const tables = sqliteAll("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'metadata';");
+  if (tables.length === 0) return 0;
+  const rows = sqliteAll("SELECT value FROM metadata WHERE key = 'schema_version';");
+  return Number.parseInt(String(rows[0]?.value || '0'), 10) || 0;
+}
+
+function pendingMigrations(version) {
+  return INDEX_MIGRATIONS.filter((migration) => migration.version > version);
+}
+
+function describeMigration(migration) {
+  return { version: migration.version, description: migration.description };
+}
+
+function applyMigrations(migrations) {
+  sqliteExec('PRAGMA journal_mode=WAL;');
+  for (const migration of migrations) {
+    sqliteBatch([
+      migration.sql,
+      {
+        sql: `INSERT INTO metadata (key, value) VALUES ('schema_version', ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value;`,
+        params: [String(migration.version)],
+      },
+    ]);
+  }
+  if (migrations.some((migration) => migration.rebuildsDerived)) {
+    rebuildDerivedIndexes();
+  }
+}
+
+// Only `afont index migrate --rebuild` gets here: the old file is moved aside, a fresh cache is
+// created and kit snapshots (rollback history) are copied over. Catalog data returns on refresh.
+function rebuildIndexDatabase(fromVersion) {
+  const backupPath = `${CACHE_DB}.v${fromVersion}-${Date.now()}.bak`;
+  closeSqlite();
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(`${CACHE_DB}${suffix}`)) fs.renameSync(`${CACHE_DB}${suffix}`, `${backupPath}${suffix}`);
+  }
+  applyMigrations(INDEX_MIGRATIONS);
+  try {
+    sqliteExec(`
+      ATTACH DATABASE ${sqlValue(backupPath)} AS previous;
+      INSERT INTO kit_snapshots (id, kit_id, kit_name, hash, snapshot_json, created_at)
+        SELECT id, kit_id, kit_name, hash, snapshot_json, created_at FROM previous.kit_snapshots;
+      DETACH DATABASE previous;
+    `);
+  } catch (error) {
+    try {
+      sqliteExec('DETACH DATABASE previous;');
+    } catch {
+      // Already detached (the sqlite3 CLI uses a fresh connection per call).
+    }
+    return { backupPath, snapshotsCopied: 0, snapshotsError: error.message };
+  }
+  const rows = sqliteAll('SELECT COUNT(*) AS count FROM kit_snapshots;');
+  return { backupPath, snapshotsCopied: Number.parseInt(String(rows[0]?.count || '0'), 10) || 0, snapshotsError: null };
+}
+
+function schemaUpgradeError(message, fromVersion) {
+  return buildError(`${message} Run \`afont index migrate --rebuild\` to move it aside and start a fresh cache (kit snapshots are copied over).`, {
+    dbPath: CACHE_DB,
+    fromVersion,
+    schemaVersion: SCHEMA_VERSION,
+  });
+}
+
+// Pending migrations run in place. A cache from a newer afont, or one a migration cannot upgrade,
+// is never replaced implicitly: that would discard kit snapshots from a read-only command.
+function migrateIndexSchema(options = {}) {
+  const fromVersion = readSchemaVersion();
+  const pending = pendingMigrations(fromVersion);
+  const outcome = {
+    dbPath: CACHE_DB,
+    fromVersion,
+    schemaVersion: SCHEMA_VERSION,
+    applied: pending.map(describeMigration),
+    rebuilt: false,
+    backupPath: null,
+    snapshotsCopied: 0,
+    snapshotsError: null,
+  };
+
+  const rebuild = () => {
+    Object.assign(outcome, { applied: INDEX_MIGRATIONS.map(describeMigration), rebuilt: true }, rebuildIndexDatabase(fromVersion));
+  };
+  if (fromVersion > SCHEMA_VERSION) {
+    if (!options.rebuild) {
+      throw schemaUpgradeError(`Cache ${CACHE_DB} uses schema v${fromVersion}, newer than this afont supports (v${SCHEMA_VERSION}).`, fromVersion);
+    }
+    rebuild();
+  } else if (pending.length > 0) {
+    try {
+      applyMigrations(pending);
+    } catch (error) {
+      if (/locked|busy/i.test(error.message)) throw error;
+      if (!options.rebuild) {
+        throw schemaUpgradeError(`Could not upgrade cache ${CACHE_DB} from schema v${fromVersion}: ${error.message.replace(/\.$/, '')}.`, fromVersion);
+      }
+      rebuild();
+    }
+  }
+  SCHEMA_READY_DB = CACHE_DB;
+  return outcome;
+}
+
 function ensureIndexSchema() {
-  runSqlite(`
-    PRAGMA journal_mode=WAL;
-    CREATE TABLE IF NOT EXISTS families (
-      id TEXT PRIMARY KEY,
-      slug TEXT,
-      name TEXT NOT NULL,
-      description TEXT,
-      web_link TEXT,
-      classification TEXT,
-      foundry TEXT,
-      css_stack TEXT,
-      languages_json TEXT,
-      variations_json TEXT,
-      updated_at TEXT NOT NULL
-    );
-    CREATE TABLE IF NOT EXISTS metadata (
-      key TEXT PRIMARY KEY,
-      value TEXT NOT NULL
-    );
-    CREATE TABLE IF NOT EXISTS page_hashes (
-      library_id TEXT NOT NULL,
-      page INTEGER NOT NULL,
-      hash TEXT NOT NULL,
-      family_count INTEGER NOT NULL,
-      updated_at TEXT NOT NULL,
-      PRIMARY KEY (library_id, page)
-    );
-    CREATE VIRTUAL TABLE IF NOT EXISTS families_fts USING fts5(
-      id UNINDEXED,
-      slug,
-      name,
-      description,
-      classification,
-      foundry
-    );
-  `);
+  if (SCHEMA_READY_DB === CACHE_DB && fs.existsSync(CACHE_DB)) return;
+  migrateIndexSchema();
 }
 
 function hashPageFamilies(families) {
@@ -841,14 +1581,166 @@ function hashPageFamilies(families) {
   return crypto.createHash('sha1').update(payload).digest('hex');
 }
 
-function buildFtsQuery(query) {
-  const tokens = String(query || '')
+function searchTokens(value) {
+  return String(value || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/g)
+    .filter(Boolean);
+}
+
+// pg_trgm style: each word is padded ("  word ") so short words and word starts still match.
+function trigramsFor(value) {
+  const trigrams = new Set();
+  for (const token of searchTokens(value)) {
+    const padded = `  ${token} `;
+    for (let i = 0; i <= padded.length - 3; i += 1) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  }
+  return Array.from(trigrams);
+}
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function tokenSimilarity(queryToken, candidate) {
+  const whole = 1 - editDistance(queryToken, candidate) / Math.max(queryToken.length, candidate.length);
+  // Treat a query token as a possibly misspelled prefix ("garamon" -> "garamond").
+  const prefix = candidate.length > queryToken.length
+    ? 1 - editDistance(queryToken, candidate.slice(0, queryToken.length)) / queryToken.length - 0.05
+    : 0;
+  return Math.max(whole, prefix);
+}
+
+function fuzzySimilarity(query, font) {
+  const queryTokens = searchTokens(query);
+  const candidates = Array.from(new Set([...searchTokens(font.familyName), ...searchTokens(font.slug)]));
+  if (queryTokens.length === 0 || candidates.length === 0) return 0;
+  const total = queryTokens.reduce((sum, token) => sum + Math.max(...candidates.map((candidate) => tokenSimilarity(token, candidate))), 0);
+  return total / queryTokens.length;
+}
+
+function trigramIndexStatements(rows) {
+  const statements = ['DELETE FROM family_trigrams;'];
+  for (const row of rows) {
+    for (const trigram of trigramsFor(`${row.name || ''} ${row.slug || ''}`)) {
+      statements.push({
+        sql: 'INSERT OR IGNORE INTO family_trigrams (trigram, family_id) VALUES (?, ?);',
+        params: [trigram, row.id],
+      });
+    }
+  }
+  return statements;
+}
+
+// variations_json holds either fvd strings or { fvd } objects straight from the API; languages_json
+// holds language codes. Deriving the tables in SQL also covers families an incremental refresh
+// did not re-fetch.
+const NORMALIZED_INDEX_SQL = `
+  DELETE FROM family_languages;
+  INSERT OR IGNORE INTO family_languages (family_id, language)
+  SELECT family_id, language FROM (
+    SELECT
+      f.id AS family_id,
+      LOWER(TRIM(CASE WHEN l.type = 'object'
+        THEN COALESCE(json_extract(l.value, '$.code'), json_extract(l.value, '$.slug'), json_extract(l.value, '$.name'))
+        ELSE l.value END)) AS language
+    FROM families f, json_each(COALESCE(f.languages_json, '[]')) l
+  )
+  WHERE language IS NOT NULL AND language <> '';
+  DELETE FROM family_variations;
+  INSERT OR IGNORE INTO family_variations (family_id, fvd, weight, style)
+  SELECT
+    family_id,
+    fvd,
+    CAST(SUBSTR(fvd, 2) AS INTEGER) * 100,
+    CASE SUBSTR(fvd, 1, 1) WHEN 'i' THEN 'italic' WHEN 'o' THEN 'oblique' ELSE 'normal' END
+  FROM (
+    SELECT f.id AS family_id, CASE WHEN v.type = 'object' THEN json_extract(v.value, '$.fvd') ELSE v.value END AS fvd
+    FROM families f, json_each(COALESCE(f.variations_json, '[]')) v
+  )
+  WHERE fvd GLOB '[nio][1-9]';
+`;
+
+function rebuildDerivedIndexes() {
+  const rows = sqliteAll('SELECT id, slug, name FROM families;');
+  sqliteBatch([...trigramIndexStatements(rows), NORMALIZED_INDEX_SQL]);
+  return rows.length;
+}
+
+const FUZZY_MIN_SIMILARITY = 0.6;
+const FUZZY_CANDIDATES = 200;
+
+// candidates are { row, hits } pairs, hits being the number of query trigrams the family shares.
+function rankFuzzyMatches(query, candidates, limit) {
+  return candidates
+    .map(({ row, hits }) => {
+      const font = rowToFont(row);
+      return { font, similarity: fuzzySimilarity(query, font), hits };
+    })
+    .filter((match) => match.similarity >= FUZZY_MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity || b.hits - a.hits || a.font.familyName.localeCompare(b.font.familyName))
+    .slice(0, limit)
+    .map((match) => match.font);
+}
+
+function fuzzySearchLocalIndex(query, where, limit) {
+  const trigrams = trigramsFor(query);
+  if (trigrams.length === 0) return [];
+
+  const rows = sqliteAll(`
+    SELECT
+      f.id,
+      f.slug,
+      f.name,
+      f.description,
+      f.web_link,
+      f.classification,
+      f.foundry,
+      f.css_stack,
+      f.languages_json,
+      f.variations_json,
+      t.hits
+    FROM (
+      SELECT tg.family_id, COUNT(*) AS hits
+      FROM family_trigrams tg
+      JOIN families f ON f.id = tg.family_id
+      WHERE tg.trigram IN (${trigrams.map(() => '?').join(', ')})${where.sql}
+      GROUP BY tg.family_id
+      ORDER BY hits DESC
+      LIMIT ?
+    ) t
+    JOIN families f ON f.id = t.family_id;
+  `, [...trigrams, ...where.params, FUZZY_CANDIDATES]);
+
+  return rankFuzzyMatches(query, rows.map((row) => ({ row, hits: Number(row.hits) || 0 })), limit);
+}
+
+function ftsTokens(query) {
+  return String(query || '')
     .toLowerCase()
     .split(/[^a-z0-9]+/g)
     .map((token) => token.trim())
     .filter(Boolean)
     .slice(0, 8);
-  return tokens.map((token) => `${token}*`).join(' AND ');
+}
+
+function buildFtsQuery(query) {
+  return ftsTokens(query).map((token) => `${token}*`).join(' AND ');
 }
 
 function rowToFont(row) {
@@ -883,55 +1775,52 @@ function rowToFont(row) {
   });
 }
 
+function isCacheStale(lastRefreshAt) {
+  const ageMs = lastRefreshAt ? (Date.now() - Date.parse(lastRefreshAt)) : Number.POSITIVE_INFINITY;
+  return !Number.isFinite(ageMs) || ageMs > CACHE_MAX_AGE_HOURS * 60 * 60 * 1000;
+}
+
 function getIndexStatusSync() {
+  if (!hasSqlite()) {
+    return getJsonIndexStatus();
+  }
   if (!fs.existsSync(CACHE_DB)) {
     return {
       exists: false,
       dbPath: CACHE_DB,
+      backend: sqliteBackend(),
       stale: true,
       staleAfterHours: CACHE_MAX_AGE_HOURS,
     };
   }
 
-  ensureIndexSchema();
-  const metadataRows = runSqlite('SELECT key, value FROM metadata;', { json: true });
+  // Status only reads: pending migrations are reported and left for the next write or `index migrate`.
+  const tables = new Set(sqliteAll("SELECT name FROM sqlite_master WHERE type = 'table';").map((row) => row.name));
   const metadata = {};
-  for (const row of metadataRows) metadata[row.key] = row.value;
-  const countRows = runSqlite('SELECT COUNT(*) AS count FROM families;', { json: true });
+  if (tables.has('metadata')) {
+    for (const row of sqliteAll('SELECT key, value FROM metadata;')) metadata[row.key] = row.value;
+  }
+  const countRows = tables.has('families') ? sqliteAll('SELECT COUNT(*) AS count FROM families;') : [];
   const familyCount = Number.parseInt(String(countRows[0]?.count || '0'), 10) || 0;
   const lastRefreshAt = metadata.last_refresh_at || null;
-  const ageMs = lastRefreshAt ? (Date.now() - Date.parse(lastRefreshAt)) : Number.POSITIVE_INFINITY;
-  const stale = !Number.isFinite(ageMs) || ageMs > CACHE_MAX_AGE_HOURS * 60 * 60 * 1000;
+  const schemaVersion = Number.parseInt(String(metadata.schema_version || '0'), 10) || 0;
 
   return {
     exists: true,
     dbPath: CACHE_DB,
+    backend: sqliteBackend(),
     familyCount,
     lastRefreshAt,
-    stale,
+    stale: isCacheStale(lastRefreshAt),
     staleAfterHours: CACHE_MAX_AGE_HOURS,
     libraries: metadata.libraries || '',
+    schemaVersion,
+    pendingMigrations: pendingMigrations(schemaVersion).map(describeMigration),
   };
 }
 
-function getIndexStatusSafe() {
-  if (!fs.existsSync(CACHE_DB)) {
-    return getIndexStatusSync();
-  }
-  if (!hasSqliteCli()) {
-    return {
-      exists: true,
-      dbPath: CACHE_DB,
-      stale: true,
-      staleAfterHours: CACHE_MAX_AGE_HOURS,
-      error: 'sqlite3 CLI is not available; status metadata unavailable.',
-    };
-  }
-  return getIndexStatusSync();
-}
-
 function queryTopCounts(column, limit) {
-  return runSqlite(`
+  return sqliteAll(`
     SELECT
       CASE
         WHEN TRIM(COALESCE(${column}, '')) = '' THEN 'unknown'
@@ -941,25 +1830,28 @@ function queryTopCounts(column, limit) {
     FROM families
     GROUP BY value
     ORDER BY count DESC, value ASC
-    LIMIT ${limit};
-  `, { json: true }).map((row) => ({
+    LIMIT ?;
+  `, [limit]).map((row) => ({
     value: row.value,
     count: Number.parseInt(String(row.count || '0'), 10) || 0,
   }));
 }
 
 function getIndexStatsSync(limit = 8) {
-  ensureIndexSchema();
   const safeLimit = clampInt(limit, 1, 50, 8);
-  const totalRows = runSqlite('SELECT COUNT(*) AS count FROM families;', { json: true });
-  const distinctClassRows = runSqlite(`
+  if (!hasSqlite()) {
+    return jsonIndexStats(safeLimit);
+  }
+  ensureIndexSchema();
+  const totalRows = sqliteAll('SELECT COUNT(*) AS count FROM families;');
+  const distinctClassRows = sqliteAll(`
     SELECT COUNT(DISTINCT CASE WHEN TRIM(COALESCE(classification, '')) = '' THEN 'unknown' ELSE LOWER(TRIM(classification)) END) AS count
     FROM families;
-  `, { json: true });
-  const distinctFoundryRows = runSqlite(`
+  `);
+  const distinctFoundryRows = sqliteAll(`
     SELECT COUNT(DISTINCT CASE WHEN TRIM(COALESCE(foundry, '')) = '' THEN 'unknown' ELSE LOWER(TRIM(foundry)) END) AS count
     FROM families;
-  `, { json: true });
+  `);
 
   return {
     familyCount: Number.parseInt(String(totalRows[0]?.count || '0'), 10) || 0,
@@ -970,22 +1862,91 @@ function getIndexStatsSync(limit = 8) {
   };
 }
 
-function searchLocalIndex(query, options = {}) {
-  ensureIndexSchema();
-  const limit = clampInt(options.limit || 8, 1, 50, 8);
-  const classification = String(options.classification || '').trim().toLowerCase();
-  const language = String(options.language || '').trim().toLowerCase();
-  const warnings = options.warnings || [];
+function parseSearchFacets(flags) {
+  const facets = {
+    foundries: parseCommaList(flags.foundry).map((value) => value.toLowerCase()),
+    excludeFoundries: parseCommaList(flags['exclude-foundry']).map((value) => value.toLowerCase()),
+    minWeights: 0,
+    weights: [],
+    hasItalic: parseBooleanFlag(flags['has-italic'], false),
+    cssStack: flags['css-stack'] && flags['css-stack'] !== true ? String(flags['css-stack']).trim().toLowerCase() : '',
+  };
+  if (flags['min-weights'] !== undefined) {
+    facets.minWeights = toPositiveInt(flags['min-weights'], 0);
+    if (facets.minWeights === 0) {
+      fail('--min-weights must be a positive integer.', 2, undefined, isJson(flags));
+    }
+  }
+  facets.weights = parseCommaList(flags.weights).map((weight) => fvdWeightCode(weight));
+  if (invalidWeights(facets.weights).length > 0) {
+    fail(`Invalid --weights: ${parseCommaList(flags.weights).join(', ')}. Use 100-900 or 1-9.`, 2, undefined, isJson(flags));
+  }
+  return facets;
+}
+
+function fontMatchesFacets(font, facets) {
+  if (!facets) return true;
+  const foundry = String(font.foundry || '').toLowerCase();
+  if (facets.foundries.length > 0 && !facets.foundries.some((value) => foundry.includes(value))) return false;
+  if (facets.excludeFoundries.some((value) => foundry.includes(value))) return false;
+  if (facets.minWeights > 0 && font.weights.length < facets.minWeights) return false;
+  if (facets.weights.some((code) => !font.weights.includes(code))) return false;
+  if (facets.hasItalic && !font.styles.includes('italic')) return false;
+  if (facets.cssStack && !String(font.cssStack || '').toLowerCase().includes(facets.cssStack)) return false;
+  return true;
+}
+
+function familyVariationsSql(select, where = '1') {
+  return `(SELECT ${select} FROM family_variations v WHERE v.family_id = f.id AND ${where})`;
+}
+
+// Returns SQL conditions with `?` placeholders and pushes their values onto params in order.
+function facetSqlFilters(facets, params) {
+  if (!facets) return [];
+  const filters = [];
+  if (facets.foundries.length > 0) {
+    filters.push(`(${facets.foundries.map(() => "LOWER(COALESCE(f.foundry, '')) LIKE ?").join(' OR ')})`);
+    params.push(...facets.foundries.map((value) => `%${value}%`));
+  }
+  for (const value of facets.excludeFoundries) {
+    filters.push("LOWER(COALESCE(f.foundry, '')) NOT LIKE ?");
+    params.push(`%${value}%`);
+  }
+  if (facets.minWeights > 0) {
+    filters.push(`${familyVariationsSql('COUNT(DISTINCT v.weight)')} >= ?`);
+    params.push(facets.minWeights);
+  }
+  for (const code of facets.weights) {
+    filters.push(`EXISTS ${familyVariationsSql('1', 'v.weight = ?')}`);
+    params.push(Number(code) * 100);
+  }
+  if (facets.hasItalic) {
+    filters.push(`EXISTS ${familyVariationsSql('1', "v.style = 'italic'")}`);
+  }
+  if (facets.cssStack) {
+    filters.push("LOWER(COALESCE(f.css_stack, '')) LIKE ?");
+    params.push(`%${facets.cssStack}%`);
+  }
+  return filters;
+}
 
+function sqliteIndexSearch(criteria, limit) {
+  ensureIndexSchema();
   const filters = [];
-  if (classification) filters.push(`LOWER(COALESCE(f.classification, '')) LIKE ${sqlLiteral(`%${classification}%`)}`);
-  if (language) filters.push(`LOWER(COALESCE(f.languages_json, '')) LIKE ${sqlLiteral(`%${language}%`)}`);
-  const whereExtra = filters.length > 0 ? ` AND ${filters.join(' AND ')}` : '';
-
-  const ftsQuery = buildFtsQuery(query);
-  let rows = [];
-  if (ftsQuery) {
-    rows = runSqlite(`
+  const filterParams = [];
+  if (criteria.classification) {
+    filters.push("LOWER(COALESCE(f.classification, '')) LIKE ?");
+    filterParams.push(`%${criteria.classification}%`);
+  }
+  if (criteria.language) {
+    filters.push('EXISTS (SELECT 1 FROM family_languages l WHERE l.family_id = f.id AND l.language = ?)');
+    filterParams.push(criteria.language);
+  }
+  filters.push(...facetSqlFilters(criteria.facets, filterParams));
+  const where = { sql: filters.length > 0 ? ` AND ${filters.join(' AND ')}` : '', params: filterParams };
+
+  return {
+    fullText: (query) => sqliteAll(`
       SELECT
         f.id,
         f.slug,
@@ -999,47 +1960,183 @@ function searchLocalIndex(query, options = {}) {
         f.variations_json
       FROM families_fts
       JOIN families f ON f.id = families_fts.id
-      WHERE families_fts MATCH ${sqlLiteral(ftsQuery)}${whereExtra}
+      WHERE families_fts MATCH ?${where.sql}
       ORDER BY bm25(families_fts)
-      LIMIT ${limit};
-    `, { json: true });
-  }
+      LIMIT ?;
+    `, [buildFtsQuery(query), ...where.params, limit]),
+    substring: (query) => {
+      const pattern = `%${String(query).toLowerCase()}%`;
+      return sqliteAll(`
+        SELECT
+          f.id,
+          f.slug,
+          f.name,
+          f.description,
+          f.web_link,
+          f.classification,
+          f.foundry,
+          f.css_stack,
+          f.languages_json,
+          f.variations_json
+        FROM families f
+        WHERE (
+          LOWER(COALESCE(f.name, '')) LIKE ?
+          OR LOWER(COALESCE(f.slug, '')) LIKE ?
+          OR LOWER(COALESCE(f.description, '')) LIKE ?
+        )${where.sql}
+        ORDER BY f.name
+        LIMIT ?;
+      `, [pattern, pattern, pattern, ...where.params, limit]);
+    },
+    fuzzy: (query) => fuzzySearchLocalIndex(query, where, limit),
+  };
+}
+
+function searchLocalIndex(query, options = {}) {
+  const limit = clampInt(options.limit || 8, 1, 50, 8);
+  const criteria = {
+    classification: String(options.classification || '').trim().toLowerCase(),
+    language: String(options.language || '').trim().toLowerCase(),
+    facets: options.facets,
+  };
+  const warnings = options.warnings || [];
+  const search = hasSqlite() ? sqliteIndexSearch(criteria, limit) : jsonIndexSearch(criteria, limit);
 
+  const hasTokens = ftsTokens(query).length > 0;
+  let rows = hasTokens ? search.fullText(query) : [];
   if (rows.length === 0) {
-    rows = runSqlite(`
-      SELECT
-        f.id,
-        f.slug,
-        f.name,
-        f.description,
-        f.web_link,
-        f.classification,
-        f.foundry,
-        f.css_stack,
-        f.languages_json,
-        f.variations_json
-      FROM families f
-      WHERE (
-        LOWER(COALESCE(f.name, '')) LIKE ${sqlLiteral(`%${String(query).toLowerCase()}%`)}
-        OR LOWER(COALESCE(f.slug, '')) LIKE ${sqlLiteral(`%${String(query).toLowerCase()}%`)}
-        OR LOWER(COALESCE(f.description, '')) LIKE ${sqlLiteral(`%${String(query).toLowerCase()}%`)}
-      )${whereExtra}
-      ORDER BY f.name
-      LIMIT ${limit};
-    `, { json: true });
+    rows = search.substring(query);
   }
 
   const fonts = rows.map((row) => rowToFont(row));
-  if (fonts.length === 0 && ftsQuery) {
+  if (fonts.length > 0) {
+    return { fonts, didYouMean: null };
+  }
+
+  const fuzzy = search.fuzzy(query);
+  if (fuzzy.length > 0) {
+    warnings.push(`No exact match for "${query}"; showing close matches.`);
+    return { fonts: fuzzy, didYouMean: fuzzy[0].familyName };
+  }
+  if (hasTokens) {
     warnings.push('No local cache match. Try `afont search --query <term> --refresh-cache`.');
   }
-  return fonts;
+  return { fonts, didYouMean: null };
 }
 
-async function refreshLocalIndex(options = {}) {
-  if (!hasSqliteCli()) {
-    throw new Error('sqlite3 CLI is required for local font indexing.');
+// Rows the families table will hold once a refresh commits: freshly fetched details plus
+// unchanged families that are still listed.
+function currentIndexRows(validFamilies, allFamilyIds) {
+  const rows = new Map(sqliteAll('SELECT id, slug, name FROM families;')
+    .filter((row) => allFamilyIds.size === 0 || allFamilyIds.has(row.id))
+    .map((row) => [row.id, row]));
+  for (const family of validFamilies) {
+    rows.set(family.id, { id: family.id, slug: family.slug || '', name: family.name || family.id });
+  }
+  return Array.from(rows.values());
+}
+
+function familyIndexRow(family, refreshedAt) {
+  return {
+    id: family.id,
+    slug: family.slug || '',
+    name: family.name || family.id,
+    description: family.description || '',
+    web_link: family.web_link || '',
+    classification: family.browse_info?.classification?.[0] || '',
+    foundry: family.foundry?.name || '',
+    css_stack: family.css_stack || 'serif',
+    languages_json: JSON.stringify(family.browse_info?.language || []),
+    variations_json: JSON.stringify(family.variations || []),
+    updated_at: refreshedAt,
+  };
+}
+
+function readSqliteIndexState() {
+  ensureIndexSchema();
+  return {
+    pageHashes: sqliteAll('SELECT library_id, page, hash FROM page_hashes;')
+      .map((row) => ({ libraryId: row.library_id, page: row.page, hash: row.hash })),
+    familyIds: sqliteAll('SELECT id FROM families;').map((row) => row.id),
+  };
+}
+
+function writeSqliteIndex(update) {
+  const { validFamilies, allFamilyIds, selectedLibraries, pageHashes, refreshedAt } = update;
+  const statements = [];
+  for (const family of validFamilies) {
+    const row = familyIndexRow(family, refreshedAt);
+    statements.push({
+      sql: `
+        INSERT INTO families (
+          id, slug, name, description, web_link, classification, foundry, css_stack, languages_json, variations_json, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          slug=excluded.slug,
+          name=excluded.name,
+          description=excluded.description,
+          web_link=excluded.web_link,
+          classification=excluded.classification,
+          foundry=excluded.foundry,
+          css_stack=excluded.css_stack,
+          languages_json=excluded.languages_json,
+          variations_json=excluded.variations_json,
+          updated_at=excluded.updated_at;
+      `,
+      params: [
+        row.id,
+        row.slug,
+        row.name,
+        row.description,
+        row.web_link,
+        row.classification,
+        row.foundry,
+        row.css_stack,
+        row.languages_json,
+        row.variations_json,
+        row.updated_at,
+      ],
+    });
+  }
+
+  if (allFamilyIds.size > 0) {
+    const ids = Array.from(allFamilyIds);
+    statements.push({ sql: `DELETE FROM families WHERE id NOT IN (${ids.map(() => '?').join(', ')});`, params: ids });
   }
+
+  statements.push({
+    sql: `DELETE FROM page_hashes WHERE library_id IN (${selectedLibraries.map(() => '?').join(', ')});`,
+    params: selectedLibraries,
+  });
+  for (const row of pageHashes) {
+    statements.push({
+      sql: 'INSERT INTO page_hashes (library_id, page, hash, family_count, updated_at) VALUES (?, ?, ?, ?, ?);',
+      params: [row.libraryId, row.page, row.hash, row.familyCount, refreshedAt],
+    });
+  }
+
+  statements.push(...trigramIndexStatements(currentIndexRows(validFamilies, allFamilyIds)));
+  statements.push(NORMALIZED_INDEX_SQL);
+  statements.push(`DELETE FROM families_fts;`);
+  statements.push(`
+    INSERT INTO families_fts (id, slug, name, description, classification, foundry)
+    SELECT
+      id,
+      COALESCE(slug, ''),
+      COALESCE(name, ''),
+      COALESCE(description, ''),
+      COALESCE(classification, ''),
+      COALESCE(foundry, '')
+    FROM families;
+  `);
+  const metadataSql = 'INSERT INTO metadata (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value=excluded.value;';
+  statements.push({ sql: metadataSql, params: ['last_refresh_at', refreshedAt] });
+  statements.push({ sql: metadataSql, params: ['libraries', selectedLibraries.join(',')] });
+
+  sqliteBatch(statements);
+}
+
+async function refreshLocalIndex(options = {}) {
   if (!hasToken()) {
     throw new Error('Missing ADOBE_FONTS_API_TOKEN.');
   }
@@ -1048,7 +2145,8 @@ async function refreshLocalIndex(options = {}) {
   const maxPages = clampInt(options.maxPages || 40, 1, 200, 40);
   const warnings = options.warnings || [];
 
-  ensureIndexSchema();
+  const useSqlite = hasSqlite();
+  const existing = useSqlite ? readSqliteIndexState() : readJsonIndexState();
   const libraries = await getAllLibraries();
   const availableLibraryIds = libraries.map((library) => library.id || library.slug).filter(Boolean);
   const selectedLibraries = options.libraryId
@@ -1064,10 +2162,8 @@ async function refreshLocalIndex(options = {}) {
     }
   }
 
-  const existingHashes = runSqlite('SELECT library_id, page, hash FROM page_hashes;', { json: true });
-  const pageHashMap = new Map(existingHashes.map((row) => [`${row.library_id}:${row.page}`, row.hash]));
-  const existingFamilies = runSqlite('SELECT id FROM families;', { json: true });
-  const existingIds = new Set(existingFamilies.map((row) => row.id));
+  const pageHashMap = new Map(existing.pageHashes.map((row) => [`${row.libraryId}:${row.page}`, row.hash]));
+  const existingIds = new Set(existing.familyIds);
 
   const allFamilyIds = new Set();
   const idsToFetch = new Set();
@@ -1111,81 +2207,12 @@ async function refreshLocalIndex(options = {}) {
   const validFamilies = detailedFamilies.filter((family) => family && family.id);
   const refreshedAt = nowIso();
 
-  const statements = ['BEGIN;'];
-  for (const family of validFamilies) {
-    statements.push(`
-      INSERT INTO families (
-        id, slug, name, description, web_link, classification, foundry, css_stack, languages_json, variations_json, updated_at
-      ) VALUES (
-        ${sqlLiteral(family.id)},
-        ${sqlLiteral(family.slug || '')},
-        ${sqlLiteral(family.name || family.id)},
-        ${sqlLiteral(family.description || '')},
-        ${sqlLiteral(family.web_link || '')},
-        ${sqlLiteral(family.browse_info?.classification?.[0] || '')},
-        ${sqlLiteral(family.foundry?.name || '')},
-        ${sqlLiteral(family.css_stack || 'serif')},
-        ${sqlLiteral(JSON.stringify(family.browse_info?.language || []))},
-        ${sqlLiteral(JSON.stringify(family.variations || []))},
-        ${sqlLiteral(refreshedAt)}
-      )
-      ON CONFLICT(id) DO UPDATE SET
-        slug=excluded.slug,
-        name=excluded.name,
-        description=excluded.description,
-        web_link=excluded.web_link,
-        classification=excluded.classification,
-        foundry=excluded.foundry,
-        css_stack=excluded.css_stack,
-        languages_json=excluded.languages_json,
-        variations_json=excluded.variations_json,
-        updated_at=excluded.updated_at;
-    `);
-  }
-
-  if (allFamilyIds.size > 0) {
-    const idList = Array.from(allFamilyIds).map((id) => sqlLiteral(id)).join(', ');
-    statements.push(`DELETE FROM families WHERE id NOT IN (${idList});`);
-  }
-
-  const selectedLibraryList = selectedLibraries.map((id) => sqlLiteral(id)).join(', ');
-  statements.push(`DELETE FROM page_hashes WHERE library_id IN (${selectedLibraryList});`);
-  for (const row of pageHashes) {
-    statements.push(`
-      INSERT INTO page_hashes (library_id, page, hash, family_count, updated_at)
-      VALUES (
-        ${sqlLiteral(row.libraryId)},
-        ${row.page},
-        ${sqlLiteral(row.hash)},
-        ${row.familyCount},
-        ${sqlLiteral(refreshedAt)}
-      );
-    `);
+  const update = { validFamilies, allFamilyIds, selectedLibraries, pageHashes, refreshedAt };
+  if (useSqlite) {
+    writeSqliteIndex(update);
+  } else {
+    writeJsonIndex(update);
   }
-
-  statements.push(`DELETE FROM families_fts;`);
-  statements.push(`
-    INSERT INTO families_fts (id, slug, name, description, classification, foundry)
-    SELECT
-      id,
-      COALESCE(slug, ''),
-      COALESCE(name, ''),
-      COALESCE(description, ''),
-      COALESCE(classification, ''),
-      COALESCE(foundry, '')
-    FROM families;
-  `);
-  statements.push(`
-    INSERT INTO metadata (key, value) VALUES ('last_refresh_at', ${sqlLiteral(refreshedAt)})
-    ON CONFLICT(key) DO UPDATE SET value=excluded.value;
-  `);
-  statements.push(`
-    INSERT INTO metadata (key, value) VALUES ('libraries', ${sqlLiteral(selectedLibraries.join(','))})
-    ON CONFLICT(key) DO UPDATE SET value=excluded.value;
-  `);
-  statements.push('COMMIT;');
-
-  runSqlite(statements.join('\n'));
   const status = getIndexStatusSync();
   return {
     refreshedAt,
@@ -1197,96 +2224,809 @@ async function refreshLocalIndex(options = {}) {
   };
 }
 
-async function commandDoctor(flags) {
-  const warnings = [];
-  const checks = {
-    tokenPresent: hasToken(),
-    apiReachable: false,
-    endpoint: BASE_URL,
-    sqliteCliAvailable: hasSqliteCli(),
+// Without SQLite the cache is a gzipped NDJSON catalog (one families-table row per line) plus a
+// gzipped JSON index of the same search structures: token postings with term frequencies for
+// BM25, name/slug trigrams, and the refresh metadata.
+const JSON_INDEX_FORMAT = 1;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+let JSON_INDEX_CACHE = null;
+
+function jsonIndexPaths() {
+  return {
+    catalog: path.join(CACHE_DIR, 'catalog.ndjson.gz'),
+    index: path.join(CACHE_DIR, 'catalog-index.json.gz'),
   };
+}
 
-  if (!checks.tokenPresent) {
-    warnings.push(`ADOBE_FONTS_API_TOKEN is not set. Generate a token at ${TOKEN_PAGE_URL} and export it before retrying.`);
-  }
+function readGzipFile(file) {
+  return zlib.gunzipSync(fs.readFileSync(file)).toString('utf8');
+}
 
-  try {
-    await requestApi('/kits');
-    checks.apiReachable = true;
-  } catch (err) {
-    warnings.push(`API reachability check failed: ${err.message}`);
-  }
+function writeGzipFile(file, text) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, zlib.gzipSync(text));
+  fs.renameSync(tmpFile, file);
+}
 
-  const cache = getIndexStatusSafe();
-  if (!checks.sqliteCliAvailable) {
-    warnings.push('sqlite3 CLI is not available; local search cache cannot be used.');
-  } else if (!cache.exists) {
-    warnings.push(cacheWarmupWarning());
-  } else if (cache.stale) {
-    warnings.push(staleCacheWarning(cache.lastRefreshAt));
-  }
+// Mirrors the columns families_fts indexes.
+function catalogRowTokens(row) {
+  return searchTokens([row.slug, row.name, row.description, row.classification, row.foundry].join(' '));
+}
 
-  const payload = {
-    result: {
-      intent: 'doctor',
-      checks,
-      cache,
-      warnings,
-      nextActions: checks.apiReachable
-        ? (!cache.exists
-            ? [CACHE_WARMUP_COMMAND, 'Run afont search --query <keyword>']
-            : (cache.stale
-                ? [CACHE_WARMUP_COMMAND, 'Run afont search --query <keyword>']
-                : ['Run afont search --query <keyword>']))
-        : ['Verify token and run afont doctor again'],
-    },
-    meta: {
-      source: 'adobe_api',
-      timestamp: nowIso(),
-    },
+function buildJsonIndex(rows, meta) {
+  const terms = {};
+  const trigrams = {};
+  const lengths = [];
+  rows.forEach((row, doc) => {
+    const tokens = catalogRowTokens(row);
+    lengths.push(tokens.length);
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    for (const [token, count] of counts) {
+      if (!Object.hasOwn(terms, token)) terms[token] = [];
+      terms[token].push([doc, count]);
+    }
+    for (const trigram of trigramsFor(`${row.name || ''} ${row.slug || ''}`)) {
+      if (!Object.hasOwn(trigrams, trigram)) trigrams[trigram] = [];
+      trigrams[trigram].push(doc);
+    }
+  });
+  return {
+    format: JSON_INDEX_FORMAT,
+    lastRefreshAt: meta.lastRefreshAt || null,
+    libraries: meta.libraries || [],
+    pageHashes: meta.pageHashes || [],
+    familyCount: rows.length,
+    lengths,
+    terms,
+    trigrams,
   };
+}
 
-  printPayload(payload, isJson(flags));
-  if (!checks.tokenPresent || !checks.apiReachable) {
-    process.exit(1);
+function loadJsonIndex() {
+  const paths = jsonIndexPaths();
+  if (JSON_INDEX_CACHE && JSON_INDEX_CACHE.catalog === paths.catalog) return JSON_INDEX_CACHE;
+
+  const rows = fs.existsSync(paths.catalog)
+    ? readGzipFile(paths.catalog).split('\n').filter(Boolean).map((line) => JSON.parse(line))
+    : [];
+  let index = null;
+  if (fs.existsSync(paths.index)) {
+    try {
+      index = JSON.parse(readGzipFile(paths.index));
+    } catch {
+      index = null;
+    }
+  }
+  // A missing, outdated or half-written index is rebuilt from the catalog, keeping what metadata survives.
+  if (!index || index.format !== JSON_INDEX_FORMAT || index.familyCount !== rows.length) {
+    index = buildJsonIndex(rows, index || {});
   }
+
+  const lengths = index.lengths;
+  JSON_INDEX_CACHE = {
+    catalog: paths.catalog,
+    rows,
+    lastRefreshAt: index.lastRefreshAt,
+    libraries: index.libraries,
+    pageHashes: index.pageHashes,
+    lengths,
+    averageLength: lengths.length > 0 ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0,
+    terms: new Map(Object.entries(index.terms)),
+    sortedTerms: Object.keys(index.terms).sort(),
+    trigrams: new Map(Object.entries(index.trigrams)),
+  };
+  return JSON_INDEX_CACHE;
 }
 
-async function searchViaApi(flags, inheritedWarnings = []) {
-  const query = String(flags.query || '').trim();
-  const classification = flags.classification ? String(flags.classification) : '';
-  const language = flags.language ? String(flags.language) : '';
-  const limit = clampInt(flags.limit || 8, 1, 50, 8);
-  const perPage = clampInt(flags['per-page'] || 500, 1, 500, 500);
-  const maxPages = clampInt(flags['max-pages'] || 20, 1, 100, 20);
+function readJsonIndexState() {
+  const index = loadJsonIndex();
+  return { pageHashes: index.pageHashes, familyIds: index.rows.map((row) => row.id) };
+}
 
-  if (!query) {
-    fail('Missing --query for search command.', 2, undefined, isJson(flags));
+function writeJsonIndex(update) {
+  const { validFamilies, allFamilyIds, selectedLibraries, pageHashes, refreshedAt } = update;
+  const current = loadJsonIndex();
+  const rows = new Map(current.rows
+    .filter((row) => allFamilyIds.size === 0 || allFamilyIds.has(row.id))
+    .map((row) => [row.id, row]));
+  for (const family of validFamilies) {
+    rows.set(family.id, familyIndexRow(family, refreshedAt));
   }
-  if (!hasToken()) fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  const sortedRows = Array.from(rows.values()).sort((a, b) => (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0)));
+  const index = buildJsonIndex(sortedRows, {
+    lastRefreshAt: refreshedAt,
+    libraries: selectedLibraries,
+    pageHashes: [
+      ...current.pageHashes.filter((row) => !selectedLibraries.includes(row.libraryId)),
+      ...pageHashes.map((row) => ({ libraryId: row.libraryId, page: row.page, hash: row.hash, familyCount: row.familyCount })),
+    ],
+  });
 
-  const warnings = [...inheritedWarnings];
-  const libraries = await getAllLibraries();
-  const searchLibraryIds = preferredSearchLibraries(libraries);
-  if (searchLibraryIds.length === 0) {
-    fail('No Adobe font libraries are available for this token.', 1, undefined, isJson(flags));
+  ensureCacheDir();
+  const paths = jsonIndexPaths();
+  writeGzipFile(paths.catalog, sortedRows.map((row) => JSON.stringify(row)).join('\n'));
+  writeGzipFile(paths.index, JSON.stringify(index));
+  JSON_INDEX_CACHE = null;
+}
+
+function getJsonIndexStatus() {
+  const paths = jsonIndexPaths();
+  if (!fs.existsSync(paths.catalog)) {
+    return {
+      exists: false,
+      dbPath: paths.catalog,
+      backend: 'json',
+      stale: true,
+      staleAfterHours: CACHE_MAX_AGE_HOURS,
+    };
   }
+  const index = loadJsonIndex();
+  return {
+    exists: true,
+    dbPath: paths.catalog,
+    backend: 'json',
+    familyCount: index.rows.length,
+    lastRefreshAt: index.lastRefreshAt,
+    stale: isCacheStale(index.lastRefreshAt),
+    staleAfterHours: CACHE_MAX_AGE_HOURS,
+    libraries: index.libraries.join(','),
+  };
+}
 
-  const basicFamilyMap = new Map();
-  for (const libraryId of searchLibraryIds) {
-    try {
-      const paged = await getLibraryFamiliesPaged(libraryId, { perPage, maxPages });
-      if (paged.truncated) {
-        warnings.push(`Search scanned first ${paged.pagesScanned}/${paged.pageCount} pages in "${libraryId}". Increase --max-pages for exhaustive results.`);
-      }
-      for (const family of paged.families) {
-        if (family && family.id && !basicFamilyMap.has(family.id)) {
-          basicFamilyMap.set(family.id, family);
-        }
-      }
-    } catch (err) {
-      warnings.push(`Failed loading library ${libraryId}: ${err.message}`);
-    }
+// Same bucketing as queryTopCounts: blank values count as "unknown".
+function jsonIndexStats(limit) {
+  const { rows } = loadJsonIndex();
+  const bucket = (value) => (String(value || '').trim() === '' ? 'unknown' : String(value).trim().toLowerCase());
+  const topCounts = (column) => {
+    const counts = new Map();
+    for (const row of rows) counts.set(bucket(row[column]), (counts.get(bucket(row[column])) || 0) + 1);
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : 1));
+  };
+  const classifications = topCounts('classification');
+  const foundries = topCounts('foundry');
+  return {
+    familyCount: rows.length,
+    distinctClassifications: classifications.length,
+    distinctFoundries: foundries.length,
+    topClassifications: classifications.slice(0, limit),
+    topFoundries: foundries.slice(0, limit),
+  };
+}
+
+// languages_json entries are normalized exactly like NORMALIZED_INDEX_SQL fills family_languages.
+function rowLanguages(row) {
+  let languages;
+  try {
+    languages = JSON.parse(row.languages_json || '[]');
+  } catch {
+    languages = [];
+  }
+  return (Array.isArray(languages) ? languages : [])
+    .map((language) => (language && typeof language === 'object'
+      ? language.code ?? language.slug ?? language.name
+      : language))
+    .map((language) => String(language ?? '').trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function jsonRowMatches(row, criteria) {
+  if (criteria.classification && !String(row.classification || '').toLowerCase().includes(criteria.classification)) return false;
+  if (criteria.language && !rowLanguages(row).includes(criteria.language)) return false;
+  return fontMatchesFacets(rowToFont(row), criteria.facets);
+}
+
+// Postings (doc -> summed term frequency) for every indexed term starting with prefix, like FTS5 `token*`.
+function prefixPostings(index, prefix) {
+  const postings = new Map();
+  let low = 0;
+  let high = index.sortedTerms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (index.sortedTerms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+  for (let i = low; i < index.sortedTerms.length && index.sortedTerms[i].startsWith(prefix); i += 1) {
+    for (const [doc, count] of index.terms.get(index.sortedTerms[i])) {
+      postings.set(doc, (postings.get(doc) || 0) + count);
+    }
+  }
+  return postings;
+}
+
+function compareRowNames(a, b) {
+  const left = a.name || '';
+  const right = b.name || '';
+  return left < right ? -1 : (left > right ? 1 : 0);
+}
+
+function jsonIndexSearch(criteria, limit) {
+  const index = loadJsonIndex();
+  const { rows } = index;
+
+  return {
+    fullText: (query) => {
+      let scores = null;
+      for (const token of ftsTokens(query)) {
+        const postings = prefixPostings(index, token);
+        const idf = Math.log((rows.length - postings.size + 0.5) / (postings.size + 0.5) + 1);
+        const next = new Map();
+        for (const [doc, count] of postings) {
+          if (scores && !scores.has(doc)) continue;
+          const norm = 1 - BM25_B + BM25_B * (index.lengths[doc] / (index.averageLength || 1));
+          next.set(doc, (scores ? scores.get(doc) : 0) + idf * ((count * (BM25_K1 + 1)) / (count + BM25_K1 * norm)));
+        }
+        scores = next;
+      }
+      return Array.from(scores || [])
+        .filter(([doc]) => jsonRowMatches(rows[doc], criteria))
+        .sort((a, b) => b[1] - a[1] || compareRowNames(rows[a[0]], rows[b[0]]))
+        .slice(0, limit)
+        .map(([doc]) => rows[doc]);
+    },
+    substring: (query) => {
+      const needle = String(query).toLowerCase();
+      return rows
+        .filter((row) => [row.name, row.slug, row.description].some((value) => String(value || '').toLowerCase().includes(needle)))
+        .filter((row) => jsonRowMatches(row, criteria))
+        .sort(compareRowNames)
+        .slice(0, limit);
+    },
+    fuzzy: (query) => {
+      const hits = new Map();
+      for (const trigram of trigramsFor(query)) {
+        for (const doc of index.trigrams.get(trigram) || []) hits.set(doc, (hits.get(doc) || 0) + 1);
+      }
+      const candidates = Array.from(hits)
+        .filter(([doc]) => jsonRowMatches(rows[doc], criteria))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, FUZZY_CANDIDATES)
+        .map(([doc, count]) => ({ row: rows[doc], hits: count }));
+      return rankFuzzyMatches(query, candidates, limit);
+    },
+  };
+}
+
+function readProfiles() {
+  if (!fs.existsSync(PROFILES_FILE)) {
+    return { default: '', profiles: {} };
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${PROFILES_FILE}: ${err.message}`);
+  }
+  return {
+    default: typeof data.default === 'string' ? data.default : '',
+    profiles: data.profiles && typeof data.profiles === 'object' ? data.profiles : {},
+  };
+}
+
+function writeProfiles(data) {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  // Profiles can hold API tokens; keep the file private to the user.
+  fs.writeFileSync(PROFILES_FILE, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+}
+
+function expandHome(file) {
+  return String(file).replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+function profileToken(profile) {
+  if (profile.token) return String(profile.token).trim();
+  if (profile.tokenFile) {
+    const file = path.resolve(expandHome(profile.tokenFile));
+    if (!fs.existsSync(file)) {
+      throw new Error(`Token file for profile not found: ${file}`);
+    }
+    return fs.readFileSync(file, 'utf8').trim();
+  }
+  return '';
+}
+
+function profileCacheDir(name) {
+  return path.join(BASE_CACHE_DIR, 'profiles', name);
+}
+
+// Top-level config keys and the environment variables they mirror. `profileKey` marks values a
+// named profile may also provide; `flag` marks values a command-line flag overrides directly.
+// `trusted` values decide where the token is sent or where the cache lives, so a project config
+// (any repository afont happens to run in) may not set them.
+const CONFIG_SETTINGS = [
+  { key: 'profile', env: 'AFONT_PROFILE', flag: 'profile', fallback: '' },
+  { key: 'kit', env: 'ADOBE_FONTS_DEFAULT_KIT', flag: 'kit', profileKey: 'defaultKit', fallback: '' },
+  { key: 'domains', env: 'ADOBE_FONTS_DEFAULT_DOMAINS', flag: 'domains', profileKey: 'domains', fallback: '' },
+  { key: 'apiBase', env: 'AFONT_API_BASE', profileKey: 'apiBase', trusted: true, fallback: DEFAULT_API_BASE },
+  { key: 'cssBase', env: 'AFONT_CSS_BASE', trusted: true, fallback: 'https://use.typekit.net' },
+  { key: 'cacheDir', env: 'AFONT_CACHE_DIR', path: true, trusted: true, fallback: path.join(DEFAULT_SKILL_DIR, '.cache') },
+  { key: 'cacheMaxAgeHours', env: 'AFONT_CACHE_MAX_AGE_HOURS', fallback: '168' },
+  { key: 'httpTimeoutMs', env: 'AFONT_HTTP_TIMEOUT_MS', fallback: '25000' },
+  { key: 'httpMaxRetries', env: 'AFONT_HTTP_MAX_RETRIES', fallback: '2' },
+  { key: 'httpRetryBaseMs', env: 'AFONT_HTTP_RETRY_BASE_MS', fallback: '500' },
+  { key: 'fontMirrorDir', env: 'AFONT_FONT_MIRROR_DIR', path: true, fallback: '' },
+  { key: 'budgetMaxVariations', env: 'AFONT_BUDGET_MAX_VARIATIONS', fallback: '0' },
+  { key: 'budgetMaxKb', env: 'AFONT_BUDGET_MAX_KB', fallback: '0' },
+  { key: 'sqliteBackend', env: 'AFONT_SQLITE_BACKEND', fallback: 'auto' },
+];
+const CONFIG_COMMANDS = ['doctor', 'search', 'view', 'audit', 'index', 'kits'];
+const CONFIG_PATH_FLAGS = new Set(['output-dir', 'output', 'file', 'path', 'mirror']);
+// Only output, filter and sizing flags may come from config files; confirmation flags such as
+// --yes, --confirm, --force and --publish must always be typed on the command line.
+const CONFIG_DEFAULT_FLAGS = new Set([
+  'json', 'dry-run', 'limit', 'per-page', 'max-pages', 'library',
+  'classification', 'language', 'foundry', 'exclude-foundry', 'min-weights', 'weights', 'styles', 'has-italic', 'css-stack',
+  'cache-only', 'refresh-cache',
+  'output-dir', 'filename', 'width', 'height', 'wait-ms', 'timeout-ms', 'full-page',
+  'path', 'strict', 'format', 'output', 'file', 'resolve-css', 'mirror',
+  'max-variations', 'max-kb', 'require-changes',
+]);
+
+function findProjectConfig(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    for (const name of PROJECT_CONFIG_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return '';
+    dir = parent;
+  }
+}
+
+function readConfigFile(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${file}: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${file} must contain a JSON object.`);
+  }
+  return data;
+}
+
+function configFlagName(key) {
+  return key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+function configValue(value, layer, isPath) {
+  if (Array.isArray(value)) return value.map(String).join(',');
+  if (typeof value === 'boolean') return value;
+  const text = String(value);
+  return isPath && text ? path.resolve(path.dirname(layer.file), expandHome(text)) : text;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Command sections ({ "search": { "limit": 12 } }, { "kits": { "export": { ... } } }) supply
+// defaults for flags the user did not pass; the subcommand section wins over its parent.
+function applyConfigFlagDefaults(flags, layers, command, sub, warnings) {
+  const applied = [];
+  for (const layer of layers) {
+    const section = isPlainObject(layer.data[command]) ? layer.data[command] : null;
+    if (!section) continue;
+    const scopes = [
+      ...(sub && isPlainObject(section[sub]) ? [[`${command} ${sub}`, section[sub]]] : []),
+      [command, section],
+    ];
+    for (const [scope, values] of scopes) {
+      for (const [key, value] of Object.entries(values)) {
+        if (isPlainObject(value) || value === null || value === false) continue;
+        const flag = configFlagName(key);
+        if (!CONFIG_DEFAULT_FLAGS.has(flag)) {
+          warnings.push(`Ignoring "${key}" in the ${scope} section of ${layer.file}; --${flag} can only be passed on the command line.`);
+          continue;
+        }
+        if (flags[flag] !== undefined) continue;
+        flags[flag] = configValue(value, layer, CONFIG_PATH_FLAGS.has(flag));
+        applied.push({ scope, flag, value: flags[flag], source: layer.source, file: layer.file });
+      }
+    }
+  }
+  return applied;
+}
+
+// Precedence for every setting: flag > env > project config > profile > user config > default, with
+// a profile chosen by --profile moving above env.
+// `lenient` keeps `afont profile ...` and `afont config show` usable when the selected profile is
+// missing or broken.
+function applyConfiguration(flags, command, sub, options = {}) {
+  const projectFile = findProjectConfig(process.cwd());
+  const layers = [
+    { source: 'project', file: projectFile, data: readConfigFile(projectFile) },
+    { source: 'user', file: USER_CONFIG_FILE, data: readConfigFile(USER_CONFIG_FILE) },
+  ];
+  const profiles = readProfiles();
+  const configWarnings = [];
+  for (const setting of CONFIG_SETTINGS.filter((item) => item.trusted)) {
+    if (layers[0].data[setting.key] !== undefined) {
+      configWarnings.push(`Ignoring "${setting.key}" in ${projectFile}; set it in the environment, a profile or ${USER_CONFIG_FILE}.`);
+    }
+  }
+
+  // A profile picked with --profile brings its own account: its kit, domains and endpoint (like its
+  // token below) beat the environment, which may belong to another account.
+  const resolveSetting = (setting, profile, profileFromFlag) => {
+    if (setting.flag && flags[setting.flag] !== undefined && flags[setting.flag] !== true) {
+      return { value: String(flags[setting.flag]), source: 'flag' };
+    }
+    const profileValue = profile && setting.profileKey ? profile[setting.profileKey] : undefined;
+    const profileLayer = { source: 'profile', file: PROFILES_FILE, data: { [setting.key]: profileValue } };
+    if (profileFromFlag && profileValue !== undefined && profileValue !== null && profileValue !== '') {
+      return { value: configValue(profileValue, profileLayer, setting.path), source: 'profile', file: PROFILES_FILE };
+    }
+    if (process.env[setting.env]) {
+      return { value: process.env[setting.env], source: 'env' };
+    }
+    const candidates = [
+      ...(setting.trusted ? [] : [layers[0]]),
+      ...(profile && setting.profileKey ? [profileLayer] : []),
+      layers[1],
+    ];
+    for (const layer of candidates) {
+      const value = layer.data[setting.key];
+      if (value !== undefined && value !== null && value !== '') {
+        return { value: configValue(value, layer, setting.path), source: layer.source, file: layer.file };
+      }
+    }
+    return { value: setting.fallback, source: 'default' };
+  };
+
+  const settings = {};
+  const profileSetting = resolveSetting(CONFIG_SETTINGS[0], null);
+  if (!profileSetting.value && profiles.default) {
+    Object.assign(profileSetting, { value: profiles.default, source: 'profiles-default', file: PROFILES_FILE });
+  }
+  settings.profile = profileSetting;
+
+  let profile = null;
+  const profileName = profileSetting.value;
+  if (profileName) {
+    profile = profiles.profiles[profileName] || null;
+    if (!profile && !options.lenient) {
+      fail(`Unknown profile: ${profileName}`, 2, {
+        profilesFile: PROFILES_FILE,
+        available: Object.keys(profiles.profiles),
+      }, isJson(flags));
+    }
+  }
+  for (const setting of CONFIG_SETTINGS.slice(1)) {
+    settings[setting.key] = resolveSetting(setting, profile, profileSetting.source === 'flag');
+  }
+
+  // Without --profile the environment token wins and a conflicting profile token is reported.
+  const envToken = process.env.ADOBE_FONTS_API_TOKEN || '';
+  let storedToken = '';
+  if (profile) {
+    try {
+      storedToken = profileToken(profile);
+    } catch (err) {
+      if (!options.lenient) throw err;
+    }
+  }
+  let token = { value: envToken, source: envToken ? 'env' : 'unset' };
+  if (storedToken && (!envToken || profileSetting.source === 'flag')) {
+    token = { value: storedToken, source: 'profile', file: PROFILES_FILE };
+  } else if (storedToken && storedToken !== envToken) {
+    configWarnings.push(`ADOBE_FONTS_API_TOKEN overrides the token of profile ${profileName}; pass --profile ${profileName} to use the profile's token.`);
+  }
+
+  TOKEN = token.value;
+  DEFAULT_KIT = settings.kit.value;
+  DEFAULT_DOMAINS = settings.domains.value;
+  BASE_URL = settings.apiBase.value;
+  CSS_BASE_URL = settings.cssBase.value;
+  BASE_CACHE_DIR = settings.cacheDir.value;
+  CACHE_MAX_AGE_HOURS = Number.parseInt(settings.cacheMaxAgeHours.value, 10);
+  HTTP_TIMEOUT_MS = Number.parseInt(settings.httpTimeoutMs.value, 10);
+  HTTP_MAX_RETRIES = Number.parseInt(settings.httpMaxRetries.value, 10);
+  HTTP_RETRY_BASE_MS = Number.parseInt(settings.httpRetryBaseMs.value, 10);
+  FONT_MIRROR_DIR = settings.fontMirrorDir.value;
+  BUDGET_MAX_VARIATIONS = toNonNegativeInt(settings.budgetMaxVariations.value, 0);
+  BUDGET_MAX_KB = toNonNegativeInt(settings.budgetMaxKb.value, 0);
+  SQLITE_BACKEND = settings.sqliteBackend.value;
+  CACHE_DIR = profile ? profileCacheDir(profileName) : BASE_CACHE_DIR;
+  CACHE_DB = path.join(CACHE_DIR, 'fonts.sqlite3');
+  ACTIVE_PROFILE = profile
+    ? { name: profileName, source: { flag: 'flag', env: 'env', 'profiles-default': 'default' }[profileSetting.source] || profileSetting.source, tokenSource: token.source }
+    : { name: '', source: 'none', tokenSource: token.source };
+
+  const known = new Set([...CONFIG_SETTINGS.map((setting) => setting.key), ...CONFIG_COMMANDS]);
+  ACTIVE_CONFIG = {
+    projectFile,
+    userFile: fs.existsSync(USER_CONFIG_FILE) ? USER_CONFIG_FILE : '',
+    settings: { ...settings, token: { value: token.value ? '(set)' : '', source: token.source } },
+    flagDefaults: applyConfigFlagDefaults(flags, layers, command, sub, configWarnings),
+    warnings: configWarnings,
+    unknownKeys: layers.flatMap((layer) => Object.keys(layer.data)
+      .filter((key) => !known.has(key))
+      .map((key) => `${key} (${layer.file})`)),
+  };
+}
+
+function commandConfig(sub, flags) {
+  if (sub !== 'show') {
+    fail(sub ? `Unknown config subcommand: ${sub}` : 'Missing config subcommand (show).', 2, undefined, isJson(flags));
+  }
+
+  const warnings = ACTIVE_CONFIG.unknownKeys.map((key) => `Unknown config key: ${key}`);
+  if (!ACTIVE_CONFIG.projectFile) {
+    warnings.push(`No ${PROJECT_CONFIG_FILES.join(' or ')} found from ${process.cwd()} upwards.`);
+  }
+  const payload = {
+    result: {
+      intent: 'config',
+      config: {
+        projectFile: ACTIVE_CONFIG.projectFile,
+        userFile: ACTIVE_CONFIG.userFile,
+        profilesFile: PROFILES_FILE,
+        cacheDb: CACHE_DB,
+        settings: Object.entries(ACTIVE_CONFIG.settings).map(([key, setting]) => ({
+          key,
+          env: CONFIG_SETTINGS.find((item) => item.key === key)?.env || (key === 'token' ? 'ADOBE_FONTS_API_TOKEN' : ''),
+          value: setting.value,
+          source: setting.source,
+          ...(setting.file ? { file: setting.file } : {}),
+        })),
+        flagDefaults: ACTIVE_CONFIG.flagDefaults,
+      },
+      warnings,
+      nextActions: ACTIVE_CONFIG.projectFile ? [] : ['Create afont.config.json in the project root, e.g. { "kit": "marketing-site" }'],
+    },
+    meta: {
+      source: 'local_config',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+function describeProfile(name, profile, data) {
+  return {
+    name,
+    default: data.default === name,
+    active: ACTIVE_PROFILE.name === name,
+    token: profile.token ? 'inline' : (profile.tokenFile ? 'file' : 'none'),
+    tokenFile: profile.tokenFile || '',
+    defaultKit: profile.defaultKit || '',
+    domains: Array.isArray(profile.domains) ? profile.domains : parseCommaList(profile.domains),
+    apiBase: profile.apiBase || '',
+    cacheDir: profileCacheDir(name),
+  };
+}
+
+function commandProfile(sub, flags) {
+  const jsonMode = isJson(flags);
+  if (!['list', 'add', 'remove', 'current'].includes(sub)) {
+    fail(sub ? `Unknown profile subcommand: ${sub}` : 'Missing profile subcommand (list, add, remove, current).', 2, undefined, jsonMode);
+  }
+
+  const data = readProfiles();
+  const warnings = [];
+  const meta = { source: 'local_config', timestamp: nowIso() };
+
+  if (sub === 'list') {
+    printPayload({
+      result: {
+        intent: 'profile',
+        profilesFile: PROFILES_FILE,
+        profiles: Object.keys(data.profiles).sort().map((name) => describeProfile(name, data.profiles[name], data)),
+        warnings,
+        nextActions: Object.keys(data.profiles).length === 0
+          ? ['Run afont profile add --name <name> --token-file <path>']
+          : [],
+      },
+      meta,
+    }, jsonMode);
+    return;
+  }
+
+  if (sub === 'current') {
+    if (!ACTIVE_PROFILE.name) {
+      warnings.push('No profile is active; settings come from environment variables.');
+    }
+    printPayload({
+      result: {
+        intent: 'profile',
+        profilesFile: PROFILES_FILE,
+        profile: {
+          name: ACTIVE_PROFILE.name,
+          selectedBy: ACTIVE_PROFILE.source,
+          tokenPresent: hasToken(),
+          tokenSource: ACTIVE_PROFILE.tokenSource,
+          defaultKit: DEFAULT_KIT,
+          domains: parseCommaList(DEFAULT_DOMAINS),
+          apiBase: BASE_URL,
+          cacheDir: CACHE_DIR,
+        },
+        warnings,
+        nextActions: [],
+      },
+      meta,
+    }, jsonMode);
+    return;
+  }
+
+  const name = String(flags.name && flags.name !== true ? flags.name : '').trim();
+  if (!name) {
+    fail(`Missing --name for profile ${sub}.`, 2, undefined, jsonMode);
+  }
+  const dryRun = Boolean(flags['dry-run']);
+
+  if (sub === 'add') {
+    if (!/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(name)) {
+      fail(`Invalid profile name: ${name}. Use letters, digits, ".", "_" or "-".`, 2, undefined, jsonMode);
+    }
+    if (flags.token && flags['token-file']) {
+      fail('Use either --token or --token-file, not both.', 2, undefined, jsonMode);
+    }
+    const existing = data.profiles[name] || {};
+    if (data.profiles[name]) {
+      warnings.push(`Updated existing profile ${name}.`);
+    }
+    const profile = { ...existing };
+    if (flags.token && flags.token !== true) {
+      profile.token = String(flags.token);
+      delete profile.tokenFile;
+      warnings.push(`The token is stored in plain text in ${PROFILES_FILE}; --token-file keeps it out of the profile.`);
+    }
+    if (flags['token-file'] && flags['token-file'] !== true) {
+      profile.tokenFile = path.resolve(expandHome(flags['token-file']));
+      delete profile.token;
+      if (!fs.existsSync(profile.tokenFile)) {
+        warnings.push(`Token file does not exist yet: ${profile.tokenFile}`);
+      }
+    }
+    if (flags.kit && flags.kit !== true) profile.defaultKit = String(flags.kit);
+    if (flags.domains && flags.domains !== true) profile.domains = parseCommaList(flags.domains);
+    if (flags['api-base'] && flags['api-base'] !== true) profile.apiBase = String(flags['api-base']);
+    if (!profile.token && !profile.tokenFile) {
+      warnings.push(`Profile ${name} has no token; ADOBE_FONTS_API_TOKEN must be set when it is used.`);
+    }
+
+    data.profiles[name] = profile;
+    if (flags.default || !data.default) data.default = name;
+    if (!dryRun) writeProfiles(data);
+    printPayload({
+      result: {
+        intent: 'profile',
+        profilesFile: PROFILES_FILE,
+        profiles: [describeProfile(name, profile, data)],
+        warnings,
+        nextActions: [`Run afont doctor --profile ${name}`],
+        dryRun,
+        action: 'profile-add',
+      },
+      meta,
+    }, jsonMode);
+    return;
+  }
+
+  if (!data.profiles[name]) {
+    fail(`Unknown profile: ${name}`, 3, { available: Object.keys(data.profiles) }, jsonMode);
+  }
+  const removed = describeProfile(name, data.profiles[name], data);
+  delete data.profiles[name];
+  if (data.default === name) {
+    data.default = '';
+    warnings.push(`${name} was the default profile; no default is set now.`);
+  }
+  if (!dryRun) writeProfiles(data);
+  printPayload({
+    result: {
+      intent: 'profile',
+      profilesFile: PROFILES_FILE,
+      profiles: [removed],
+      warnings,
+      nextActions: fs.existsSync(removed.cacheDir) ? [`Delete ${removed.cacheDir} to drop the profile's cache`] : [],
+      dryRun,
+      action: 'profile-remove',
+    },
+    meta,
+  }, jsonMode);
+}
+
+async function commandDoctor(flags) {
+  const warnings = [];
+  const checks = {
+    tokenPresent: hasToken(),
+    apiReachable: false,
+    endpoint: BASE_URL,
+    profile: ACTIVE_PROFILE.name || '(none)',
+    sqliteCliAvailable: hasSqliteCli(),
+    sqliteBackend: sqliteBackend(),
+  };
+
+  if (!checks.tokenPresent) {
+    warnings.push(`ADOBE_FONTS_API_TOKEN is not set. Generate a token at ${TOKEN_PAGE_URL} and export it before retrying.`);
+  }
+
+  try {
+    await requestApi('/kits');
+    checks.apiReachable = true;
+  } catch (err) {
+    warnings.push(`API reachability check failed: ${err.message}`);
+  }
+
+  const cache = getIndexStatusSync();
+  if (!cache.exists) {
+    warnings.push(cacheWarmupWarning());
+  } else if (cache.stale) {
+    warnings.push(staleCacheWarning(cache.lastRefreshAt));
+  }
+
+  const payload = {
+    result: {
+      intent: 'doctor',
+      checks,
+      cache,
+      warnings,
+      nextActions: checks.apiReachable
+        ? (!cache.exists
+            ? [CACHE_WARMUP_COMMAND, 'Run afont search --query <keyword>']
+            : (cache.stale
+                ? [CACHE_WARMUP_COMMAND, 'Run afont search --query <keyword>']
+                : ['Run afont search --query <keyword>']))
+        : ['Verify token and run afont doctor again'],
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+  if (!checks.tokenPresent || !checks.apiReachable) {
+    process.exit(1);
+  }
+}
+
+async function searchViaApi(flags, inheritedWarnings = []) {
+  const query = String(flags.query || '').trim();
+  const classification = flags.classification ? String(flags.classification) : '';
+  const language = flags.language ? String(flags.language) : '';
+  const limit = clampInt(flags.limit || 8, 1, 50, 8);
+  const perPage = clampInt(flags['per-page'] || 500, 1, 500, 500);
+  const maxPages = clampInt(flags['max-pages'] || 20, 1, 100, 20);
+  const facets = parseSearchFacets(flags);
+
+  if (!query) {
+    fail('Missing --query for search command.', 2, undefined, isJson(flags));
+  }
+  if (!hasToken()) fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+
+  const warnings = [...inheritedWarnings];
+  const libraries = await getAllLibraries();
+  const searchLibraryIds = preferredSearchLibraries(libraries);
+  if (searchLibraryIds.length === 0) {
+    fail('No Adobe font libraries are available for this token.', 1, undefined, isJson(flags));
+  }
+
+  const basicFamilyMap = new Map();
+  for (const libraryId of searchLibraryIds) {
+    try {
+      const paged = await getLibraryFamiliesPaged(libraryId, { perPage, maxPages });
+      if (paged.truncated) {
+        warnings.push(`Search scanned first ${paged.pagesScanned}/${paged.pageCount} pages in "${libraryId}". Increase --max-pages for exhaustive results.`);
+      }
+      for (const family of paged.families) {
+        if (family && family.id && !basicFamilyMap.has(family.id)) {
+          basicFamilyMap.set(family.id, family);
+        }
+      }
+    } catch (err) {
+      warnings.push(`Failed loading library ${libraryId}: ${err.message}`);
+    }
   }
 
   const basics = Array.from(basicFamilyMap.values());
@@ -1321,6 +3061,7 @@ async function searchViaApi(flags, inheritedWarnings = []) {
 
   const filtered = Array.from(detailMap.values())
     .map((family) => normalizeFont(family))
+    .filter((font) => fontMatchesFacets(font, facets))
     .map((font) => ({ ...font, score: scoreFont(font, query, classification, language) }))
     .filter((font) => font.score > 0)
     .sort((a, b) => b.score - a.score || a.familyName.localeCompare(b.familyName))
@@ -1365,7 +3106,7 @@ async function commandIndexRefresh(flags) {
     result: {
       intent: 'index_refresh',
       cache: {
-        dbPath: CACHE_DB,
+        dbPath: result.status.dbPath,
         lastRefreshAt: result.refreshedAt,
         familyCount: result.status.familyCount,
         libraries: result.libraries,
@@ -1387,15 +3128,18 @@ async function commandIndexRefresh(flags) {
 }
 
 function commandIndexStatus(flags) {
-  const status = getIndexStatusSafe();
+  const status = getIndexStatusSync();
   const warnings = [];
-  if (!hasSqliteCli()) {
-    warnings.push('sqlite3 CLI is not available; local search cache cannot be used.');
-  } else if (!status.exists) {
+  if (!status.exists) {
     warnings.push(cacheWarmupWarning());
   } else if (status.stale) {
     warnings.push(staleCacheWarning(status.lastRefreshAt));
   }
+  if (status.schemaVersion > SCHEMA_VERSION) {
+    warnings.push(`Cache schema v${status.schemaVersion} is newer than this afont supports (v${SCHEMA_VERSION}); run afont index migrate --rebuild to start a fresh cache.`);
+  } else if (status.pendingMigrations?.length > 0) {
+    warnings.push(`Cache schema v${status.schemaVersion} has ${status.pendingMigrations.length} pending migration(s); they run on the next refresh or with afont index migrate.`);
+  }
   const payload = {
     result: {
       intent: 'index_status',
@@ -1415,22 +3159,70 @@ function commandIndexStatus(flags) {
   printPayload(payload, isJson(flags));
 }
 
-function commandIndexStats(flags) {
-  const status = getIndexStatusSafe();
-  const warnings = [];
-  if (!hasSqliteCli()) {
-    warnings.push('sqlite3 CLI is not available; local cache stats cannot be queried.');
-  }
-  if (!status.exists) {
-    warnings.push(cacheWarmupWarning());
-  } else if (status.stale) {
-    warnings.push(staleCacheWarning(status.lastRefreshAt));
+function commandIndexMigrate(flags) {
+  const jsonMode = isJson(flags);
+  if (!hasSqlite()) {
+    fail(`${SQLITE_UNAVAILABLE_MESSAGE}; the local search cache cannot be migrated.`, 1, undefined, jsonMode);
   }
 
-  let stats = null;
-  if (status.exists && hasSqliteCli()) {
-    stats = getIndexStatsSync(flags.limit);
-  }
+  const warnings = [];
+  const exists = fs.existsSync(CACHE_DB);
+  let schema;
+  if (flags['dry-run']) {
+    const fromVersion = exists ? readSchemaVersion() : 0;
+    const rebuild = fromVersion > SCHEMA_VERSION;
+    schema = {
+      dbPath: CACHE_DB,
+      fromVersion,
+      schemaVersion: SCHEMA_VERSION,
+      pending: (rebuild ? INDEX_MIGRATIONS : pendingMigrations(fromVersion)).map(describeMigration),
+      rebuild,
+    };
+    if (rebuild) {
+      warnings.push(`Cache schema v${fromVersion} is newer than this afont supports (v${SCHEMA_VERSION}); only --rebuild can replace it.`);
+    }
+  } else {
+    schema = migrateIndexSchema({ rebuild: Boolean(flags.rebuild) });
+    if (schema.rebuilt) {
+      warnings.push(`Cache was rebuilt; the previous file was kept at ${schema.backupPath}.`);
+      if (schema.snapshotsError) {
+        warnings.push(`Kit snapshots could not be copied (${schema.snapshotsError}); they remain in ${schema.backupPath}.`);
+      }
+    }
+  }
+  if (!exists || schema.rebuilt || schema.rebuild) warnings.push(cacheWarmupWarning());
+
+  const payload = {
+    result: {
+      intent: 'index_migrate',
+      dryRun: Boolean(flags['dry-run']),
+      schema,
+      warnings,
+      nextActions: flags['dry-run'] && schema.pending.length > 0
+        ? [schema.rebuild ? 'Run afont index migrate --rebuild' : 'Run afont index migrate']
+        : (!exists || schema.rebuilt ? [CACHE_WARMUP_COMMAND] : ['Run afont index status']),
+    },
+    meta: {
+      source: 'local_cache',
+      timestamp: nowIso(),
+    },
+  };
+  printPayload(payload, jsonMode);
+}
+
+function commandIndexStats(flags) {
+  const status = getIndexStatusSync();
+  const warnings = [];
+  if (!status.exists) {
+    warnings.push(cacheWarmupWarning());
+  } else if (status.stale) {
+    warnings.push(staleCacheWarning(status.lastRefreshAt));
+  }
+
+  let stats = null;
+  if (status.exists) {
+    stats = getIndexStatsSync(flags.limit);
+  }
 
   const payload = {
     result: {
@@ -1457,6 +3249,7 @@ async function commandSearch(flags) {
   const classification = flags.classification ? String(flags.classification) : '';
   const language = flags.language ? String(flags.language) : '';
   const limit = clampInt(flags.limit || 8, 1, 50, 8);
+  const facets = parseSearchFacets(flags);
   const warnings = [];
 
   const useCache = !Boolean(flags['no-cache']);
@@ -1465,7 +3258,7 @@ async function commandSearch(flags) {
   const confirmUncached = Boolean(flags['confirm-uncached']) || Boolean(flags['force-uncached']);
 
   if (!useCache && !confirmUncached) {
-    const status = getIndexStatusSafe();
+    const status = getIndexStatusSync();
     if (!status.exists || status.stale) {
       fail(
         `Refusing uncached search with ${status.exists ? 'stale' : 'empty'} cache. Consult user first, then rerun with --confirm-uncached or warm cache with \`${CACHE_WARMUP_COMMAND}\`.`,
@@ -1479,7 +3272,7 @@ async function commandSearch(flags) {
     }
   }
 
-  if (useCache && hasSqliteCli()) {
+  if (useCache) {
     let status = getIndexStatusSync();
     if (refreshCache && hasToken()) {
       try {
@@ -1501,9 +3294,10 @@ async function commandSearch(flags) {
     }
 
     if (status.exists) {
-      const fonts = searchLocalIndex(query, {
+      const { fonts, didYouMean } = searchLocalIndex(query, {
         classification,
         language,
+        facets,
         limit,
         warnings,
       });
@@ -1521,6 +3315,7 @@ async function commandSearch(flags) {
                 `Run afont kits add-family --kit <kit> --family ${fonts[0].slug}`,
               ]
             : ['Try a broader --query keyword'],
+          ...(didYouMean ? { didYouMean } : {}),
           warnings,
           cache: {
             dbPath: CACHE_DB,
@@ -1681,66 +3476,1874 @@ async function commandKitsList(flags) {
   printPayload(payload, isJson(flags));
 }
 
-async function commandKitsEnsure(flags) {
+async function ensureKit(name, domains, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const existing = options.existing !== undefined ? options.existing : await findKitByNameOrId(name);
+
+  if (!existing) {
+    if (dryRun) {
+      return { action: 'create', kit: normalizeKit({ id: 'dry-run-kit', name, domains }) };
+    }
+    const created = await requestApi('/kits', {
+      method: 'POST',
+      form: {
+        name,
+        domains,
+      },
+    });
+    return { action: 'create', kit: normalizeKit(created.kit || created) };
+  }
+
+  if (dryRun) {
+    return { action: 'update', kit: normalizeKit({ ...existing, domains: domains.length > 0 ? domains : existing.domains }) };
+  }
+  if (domains.length > 0) {
+    const updated = await requestApi(`/kits/${encodeURIComponent(existing.id)}`, {
+      method: 'POST',
+      form: {
+        domains,
+      },
+    });
+    return { action: 'update', kit: normalizeKit(updated.kit || updated) };
+  }
+  return { action: 'update', kit: normalizeKit(existing) };
+}
+
+async function commandKitsEnsure(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const name = String(flags.name || '').trim();
+  const domainsArg = String(flags.domains || DEFAULT_DOMAINS || '').trim();
+  const domains = domainsArg ? domainsArg.split(',').map((d) => d.trim()).filter(Boolean) : [];
+  const dryRun = Boolean(flags['dry-run']);
+
+  if (!name) {
+    fail('Missing --name for kits ensure.', 2, undefined, isJson(flags));
+  }
+
+  const { action, kit } = await ensureKit(name, domains, { dryRun });
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit,
+      warnings: [],
+      nextActions: [
+        `Run afont kits add-family --kit ${kit.id || name} --family <family-slug>`,
+        `Run afont kits publish --kit ${kit.id || name}`,
+      ],
+      dryRun,
+      action,
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+function parseCommaList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+async function resolveKitOrFail(input, jsonMode) {
+  const value = input || DEFAULT_KIT;
+  if (!value) {
+    fail('Missing --kit and ADOBE_FONTS_DEFAULT_KIT is not set.', 2, undefined, jsonMode);
+  }
+
+  const match = await findKitByNameOrId(value);
+  if (!match) {
+    fail(`Could not find kit: ${value}`, 3, undefined, jsonMode);
+  }
+
+  return match;
+}
+
+function fvdWeightCode(weight) {
+  const value = String(weight).trim();
+  if (!/^\d+$/.test(value)) return value;
+  const parsed = Number.parseInt(value, 10);
+  return String(parsed >= 100 ? Math.round(parsed / 100) : parsed);
+}
+
+// An fvd code has a single weight digit, so only 100-900 (or 1-9) are valid; 50 or 1000 would
+// reach the API as "n50" or "n10".
+function invalidWeights(weights) {
+  return weights.filter((weight) => !/^[1-9]$/.test(fvdWeightCode(weight)));
+}
+
+function failInvalidWeights(weights, jsonMode) {
+  const invalid = invalidWeights(weights);
+  if (invalid.length > 0) {
+    fail(`Invalid weight: ${invalid.join(', ')}. Use 100-900 or 1-9.`, 2, undefined, jsonMode);
+  }
+}
+
+function buildVariations(weights, styles) {
+  const variations = [];
+  for (const weight of weights) {
+    const code = fvdWeightCode(weight);
+    if (styles.length > 0) {
+      for (const style of styles) {
+        const prefix = style.toLowerCase().startsWith('i') ? 'i' : 'n';
+        variations.push(`${prefix}${code}`);
+      }
+    } else {
+      variations.push(`n${code}`);
+    }
+  }
+  return variations;
+}
+
+async function lookupFamilyVariations(familyRef, warnings) {
+  const ref = String(familyRef).toLowerCase();
+  if (hasSqlite() && fs.existsSync(CACHE_DB)) {
+    try {
+      ensureIndexSchema();
+      const rows = sqliteAll(`
+        SELECT variations_json FROM families
+        WHERE LOWER(id) = ? OR LOWER(slug) = ?
+        LIMIT 1;
+      `, [ref, ref]);
+      const variations = rows.length > 0
+        ? kitFamilyVariations({ variations: JSON.parse(rows[0].variations_json || '[]') })
+        : [];
+      if (variations.length > 0) {
+        return { source: 'cache', variations };
+      }
+    } catch (err) {
+      warnings.push(`Local index lookup failed for ${familyRef}: ${err.message}`);
+    }
+  }
+
+  const detail = await getFamilyDetailSafe(familyRef, warnings);
+  if (!detail) return null;
+  return { source: 'api', variations: kitFamilyVariations(detail) };
+}
+
+async function checkFamilyVariations(family, requested, options, warnings) {
+  if (requested.length === 0 && !options.allVariations) {
+    return { variations: requested, catalog: null, unavailable: [] };
+  }
+
+  const catalog = await lookupFamilyVariations(family, warnings);
+  if (!catalog || catalog.variations.length === 0) {
+    if (options.allVariations) {
+      return { variations: [], catalog: null, unavailable: [], missingCatalog: true };
+    }
+    warnings.push(`Could not verify variations for "${family}" against the family catalog.`);
+    return { variations: requested, catalog: null, unavailable: [] };
+  }
+  if (options.allVariations) {
+    return { variations: catalog.variations, catalog, unavailable: [] };
+  }
+
+  // Variations expanded from a weight range are best-effort: keep only what the family offers.
+  const optional = new Set(options.optional || []);
+  const wanted = requested.filter((v) => !optional.has(v) || catalog.variations.includes(v));
+  const unavailable = wanted.filter((v) => !catalog.variations.includes(v));
+  if (unavailable.length > 0 && options.skipUnavailable) {
+    warnings.push(`Skipped variations not offered by ${family}: ${unavailable.join(', ')}.`);
+    return {
+      variations: wanted.filter((v) => catalog.variations.includes(v)),
+      catalog,
+      unavailable: [],
+      skipped: unavailable,
+    };
+  }
+  if (wanted.length === 0) {
+    return { variations: [], catalog, unavailable: [], skipped: requested };
+  }
+  return { variations: wanted, catalog, unavailable };
+}
+
+function variationCheckError(family, check) {
+  if (check.missingCatalog) {
+    return { message: `Could not load the variation catalog for "${family}"; --all-variations needs it.`, code: 3 };
+  }
+  if (check.unavailable.length > 0) {
+    return {
+      message: `Family "${family}" does not offer variations: ${check.unavailable.join(', ')}.`,
+      code: 2,
+      details: {
+        unavailable: check.unavailable,
+        available: check.catalog.variations,
+        source: check.catalog.source,
+        hint: 'Use --skip-unavailable to drop them or --all-variations to add everything the family offers.',
+      },
+    };
+  }
+  if (check.skipped && check.variations.length === 0) {
+    return {
+      message: `None of the requested variations are offered by "${family}".`,
+      code: 2,
+      details: { available: check.catalog.variations },
+    };
+  }
+  return null;
+}
+
+function failUnavailableVariations(family, check, jsonMode) {
+  const error = variationCheckError(family, check);
+  if (error) {
+    fail(error.message, error.code, error.details, jsonMode);
+  }
+}
+
+function parseWeightTokens(tokens) {
+  const weights = [];
+  const rangeWeights = [];
+  for (const token of tokens) {
+    const range = token.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (!range) {
+      weights.push(token);
+      continue;
+    }
+    if (invalidWeights([range[1], range[2]]).length > 0) {
+      weights.push(token);
+      continue;
+    }
+    const low = Number(fvdWeightCode(range[1]));
+    const high = Number(fvdWeightCode(range[2]));
+    for (let code = Math.min(low, high); code <= Math.max(low, high); code += 1) {
+      rangeWeights.push(String(code));
+    }
+  }
+  return { weights, rangeWeights };
+}
+
+function parseFamilySpec(spec, defaults = {}) {
+  const [family, weightPart, stylePart] = String(spec).split(':').map((part) => part.trim());
+  const weightTokens = weightPart !== undefined ? parseCommaList(weightPart) : (defaults.weights || []);
+  const styles = stylePart !== undefined ? parseCommaList(stylePart) : (defaults.styles || []);
+  const { weights, rangeWeights } = parseWeightTokens(weightTokens);
+  return {
+    family,
+    weights,
+    rangeWeights,
+    styles,
+  };
+}
+
+function readFamiliesFile(filePath, jsonMode) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    fail(`Could not read families file: ${filePath}`, 2, { originalError: error.message }, jsonMode);
+  }
+  return raw
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+async function addFamilyToKit(kit, spec, options) {
+  const warnings = options.warnings;
+  const explicit = buildVariations(spec.weights, spec.styles);
+  const ranged = buildVariations(spec.rangeWeights, spec.styles);
+  const check = await checkFamilyVariations(spec.family, [...explicit, ...ranged], {
+    allVariations: options.allVariations,
+    skipUnavailable: options.skipUnavailable,
+    optional: ranged,
+  }, warnings);
+  const checkError = variationCheckError(spec.family, check);
+  if (checkError) {
+    return { family: spec.family, ok: false, variations: [], error: checkError.message, code: checkError.code, details: checkError.details };
+  }
+
+  const { variations } = check;
+  if (!options.dryRun) {
+    try {
+      await postKitFamily(kit.id, spec.family, variations);
+    } catch (err) {
+      return { family: spec.family, ok: false, variations, error: err.message, code: 1, details: err.details };
+    }
+  }
+
+  const reported = options.allVariations || spec.rangeWeights.length > 0
+    ? variationWeightsAndStyles(variations)
+    : { weights: spec.weights, styles: spec.styles };
+  return { family: spec.family, ok: true, variations, weights: reported.weights, styles: reported.styles };
+}
+
+function variationWeightsAndStyles(variations) {
+  const decoded = variations.map((fvd) => decodeFvd(fvd));
+  return {
+    weights: Array.from(new Set(decoded.map((v) => v.weight))),
+    styles: Array.from(new Set(decoded.map((v) => v.style))),
+  };
+}
+
+function kitFamilyPath(kitId, family) {
+  return `/kits/${encodeURIComponent(kitId)}/families/${encodeURIComponent(family)}`;
+}
+
+async function postKitFamily(kitId, family, variations) {
+  const form = {};
+  if (variations.length > 0) {
+    form.variations = variations;
+  }
+  return requestApi(kitFamilyPath(kitId, family), {
+    method: 'POST',
+    form,
+  });
+}
+
+function findKitFamily(kit, familyRef) {
+  const families = Array.isArray(kit?.families) ? kit.families : [];
+  const ref = String(familyRef || '').toLowerCase();
+  return families.find((f) => {
+    const cssNames = Array.isArray(f.css_names) ? f.css_names : [];
+    return [f.id, f.slug, f.name, ...cssNames].some((value) => String(value || '').toLowerCase() === ref);
+  }) || null;
+}
+
+async function getKitDetail(kit) {
+  return (await requestApi(`/kits/${encodeURIComponent(kit.id)}`)).kit || kit;
+}
+
+async function commandKitsAddFamily(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const kitRef = flags.kit;
+  const weights = parseCommaList(flags.weights);
+  const styles = parseCommaList(flags.styles);
+  const dryRun = Boolean(flags['dry-run']);
+  const specInputs = flagValues(flags.family);
+  if (flags['families-file']) {
+    specInputs.push(...readFamiliesFile(path.resolve(String(flags['families-file'])), isJson(flags)));
+  }
+
+  if (specInputs.length === 0) {
+    fail('Missing --family for kits add-family.', 2, undefined, isJson(flags));
+  }
+
+  const allVariations = Boolean(flags['all-variations']);
+  if (allVariations && weights.length > 0) {
+    fail('Use either --weights or --all-variations, not both.', 2, undefined, isJson(flags));
+  }
+
+  const specs = specInputs.map((input) => parseFamilySpec(input, { weights, styles }));
+  failInvalidWeights(specs.flatMap((spec) => spec.weights), isJson(flags));
+  const kit = await resolveKitOrFail(kitRef, isJson(flags));
+  const budgeted = Boolean(BUDGET_MAX_VARIATIONS || BUDGET_MAX_KB);
+  const before = budgeted ? await getKitDetail(kit) : null;
+  const warnings = [];
+  const additions = await mapLimit(specs, 3, async (spec) => addFamilyToKit(kit, spec, {
+    allVariations,
+    skipUnavailable: Boolean(flags['skip-unavailable']),
+    dryRun,
+    warnings,
+  }));
+
+  if (additions.length === 1 && !additions[0].ok) {
+    fail(additions[0].error, additions[0].code, additions[0].details, isJson(flags));
+  }
+  const failures = additions.filter((addition) => !addition.ok);
+  if (failures.length > 0) {
+    warnings.push(`${failures.length} of ${additions.length} families failed; see result.additions.`);
+  }
+
+  const detail = dryRun ? (before || kit) : await getKitDetail(kit);
+  if (budgeted) {
+    const families = budgetFamilies(detail);
+    if (dryRun) {
+      for (const addition of additions.filter((item) => item.ok)) {
+        // Without explicit variations the API adds every variation the family offers.
+        const variations = addition.variations.length > 0
+          ? addition.variations
+          : ((await lookupFamilyVariations(addition.family, []))?.variations || []);
+        const existing = families.find((family) => family.slug === addition.family);
+        if (existing) {
+          existing.variations = variations;
+        } else {
+          families.push({ slug: addition.family, variations });
+        }
+      }
+    }
+    const beforeEstimate = estimateKitTransfer(budgetFamilies(before), { mirrorDir: FONT_MIRROR_DIR });
+    const estimate = estimateKitTransfer(families, { mirrorDir: FONT_MIRROR_DIR });
+    // Each limit is checked on its own so a kit already over one limit still hears about crossing the other.
+    for (const [maxVariations, maxKb] of [[BUDGET_MAX_VARIATIONS, 0], [0, BUDGET_MAX_KB]]) {
+      const wasOver = budgetViolations(beforeEstimate, maxVariations, maxKb).length > 0;
+      for (const violation of budgetViolations(estimate, maxVariations, maxKb)) {
+        warnings.push(wasOver
+          ? `Kit was already over budget before this addition: ${violation}`
+          : `Over budget after this addition: ${violation}`);
+      }
+    }
+  }
+  const refreshed = normalizeKit(detail);
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit: refreshed,
+      fonts: additions
+        .filter((addition) => addition.ok)
+        .map((addition) => ({
+          familyName: addition.family,
+          cssFamily: addition.family,
+          classification: 'unknown',
+          foundry: 'unknown',
+          weights: addition.weights,
+          styles: addition.styles,
+          variations: addition.variations,
+        })),
+      additions: additions.map((addition) => ({
+        family: addition.family,
+        ok: addition.ok,
+        variations: addition.variations,
+        ...(addition.ok ? {} : { error: addition.error, details: addition.details }),
+      })),
+      warnings,
+      nextActions: [`Run afont kits publish --kit ${kit.id}`],
+      dryRun,
+      action: 'add-family',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+  if (failures.length > 0) {
+    process.exit(1);
+  }
+}
+
+async function commandKitsRemoveFamily(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const family = String(flags.family || '').trim();
+  const dryRun = Boolean(flags['dry-run']);
+
+  if (!family) {
+    fail('Missing --family for kits remove-family.', 2, undefined, isJson(flags));
+  }
+
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const kitFamily = findKitFamily(detail, family);
+  if (!kitFamily) {
+    fail(`Family "${family}" is not in kit ${kit.id}.`, 3, undefined, isJson(flags));
+  }
+
+  if (!dryRun) {
+    await requestApi(kitFamilyPath(kit.id, kitFamily.id || family), { method: 'DELETE' });
+  }
+
+  const refreshed = dryRun
+    ? normalizeKit(detail)
+    : normalizeKit(await getKitDetail(kit));
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit: refreshed,
+      fonts: [{ familyName: family, cssFamily: kitFamily.css_names?.[0] || family, classification: 'unknown', foundry: 'unknown', weights: [], styles: [] }],
+      warnings: [],
+      nextActions: [`Run afont kits publish --kit ${kit.id}`],
+      dryRun,
+      action: 'remove-family',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+async function commandKitsUpdateFamily(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const family = String(flags.family || '').trim();
+  const weights = parseCommaList(flags.weights);
+  const styles = parseCommaList(flags.styles);
+  const dryRun = Boolean(flags['dry-run']);
+
+  if (!family) {
+    fail('Missing --family for kits update-family.', 2, undefined, isJson(flags));
+  }
+  if (weights.length === 0) {
+    fail('Missing --weights for kits update-family.', 2, undefined, isJson(flags));
+  }
+  failInvalidWeights(weights, isJson(flags));
+
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const kitFamily = findKitFamily(detail, family);
+  if (!kitFamily) {
+    fail(`Family "${family}" is not in kit ${kit.id}. Use afont kits add-family instead.`, 3, undefined, isJson(flags));
+  }
+
+  const warnings = [];
+  const check = await checkFamilyVariations(kitFamily.id || family, buildVariations(weights, styles), {
+    skipUnavailable: Boolean(flags['skip-unavailable']),
+  }, warnings);
+  failUnavailableVariations(family, check, isJson(flags));
+  const { variations } = check;
+  if (!dryRun) {
+    await postKitFamily(kit.id, kitFamily.id || family, variations);
+  }
+
+  const refreshed = dryRun
+    ? normalizeKit(detail)
+    : normalizeKit(await getKitDetail(kit));
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit: refreshed,
+      fonts: [{ familyName: family, cssFamily: kitFamily.css_names?.[0] || family, classification: 'unknown', foundry: 'unknown', weights, styles, variations }],
+      warnings,
+      nextActions: [`Run afont kits publish --kit ${kit.id}`],
+      dryRun,
+      action: 'update-family',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+function kitFamilyRef(kitFamily) {
+  return kitFamily.id || kitFamily.slug || kitFamily.name || '';
+}
+
+function kitFamilyVariations(kitFamily) {
+  const variations = Array.isArray(kitFamily?.variations) ? kitFamily.variations : [];
+  return variations
+    .map((v) => (typeof v === 'string' ? v : v?.fvd))
+    .filter(Boolean);
+}
+
+function sameMembers(a, b) {
+  const left = new Set(a);
+  const right = new Set(b);
+  if (left.size !== right.size) return false;
+  for (const item of left) {
+    if (!right.has(item)) return false;
+  }
+  return true;
+}
+
+function readKitManifest(filePath, jsonMode) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    fail(`Could not read kit manifest: ${filePath}`, 2, { originalError: error.message }, jsonMode);
+  }
+
+  const name = String(raw?.name || '').trim();
+  if (!name) {
+    fail('Kit manifest is missing "name".', 2, { file: filePath }, jsonMode);
+  }
+  if (raw.domains !== undefined && !Array.isArray(raw.domains)) {
+    fail('Kit manifest "domains" must be an array.', 2, { file: filePath }, jsonMode);
+  }
+  if (raw.families !== undefined && !Array.isArray(raw.families)) {
+    fail('Kit manifest "families" must be an array.', 2, { file: filePath }, jsonMode);
+  }
+
+  const families = [];
+  for (const entry of raw.families || []) {
+    const spec = typeof entry === 'string' ? { family: entry } : (entry || {});
+    const family = String(spec.family || spec.slug || spec.id || '').trim();
+    if (!family) {
+      fail('Kit manifest family entries need a "family" slug.', 2, { file: filePath, entry }, jsonMode);
+    }
+    const weights = Array.isArray(spec.weights) ? spec.weights.map(String) : parseCommaList(spec.weights);
+    if (!Array.isArray(spec.variations) && invalidWeights(weights).length > 0) {
+      fail(`Kit manifest family "${family}" has an invalid weight: ${invalidWeights(weights).join(', ')}. Use 100-900 or 1-9.`, 2, { file: filePath, entry }, jsonMode);
+    }
+    const variations = Array.isArray(spec.variations)
+      ? spec.variations.map((v) => String(v).trim()).filter(Boolean)
+      : buildVariations(weights, Array.isArray(spec.styles) ? spec.styles.map(String) : parseCommaList(spec.styles));
+    families.push({ family, variations });
+  }
+
+  // Like "domains", a missing "families" key leaves the kit's families alone instead of removing them.
+  return {
+    name,
+    domains: Array.isArray(raw.domains) ? raw.domains.map((d) => String(d).trim()).filter(Boolean) : undefined,
+    families: Array.isArray(raw.families) ? families : undefined,
+  };
+}
+
+function planKitChanges(current, desired) {
+  const steps = [];
+  const currentDomains = Array.isArray(current.domains) ? current.domains : [];
+
+  if (!current.id) {
+    steps.push({ action: 'create-kit', name: desired.name, domains: desired.domains || [] });
+  } else if (desired.domains && desired.domains.length > 0 && !sameMembers(currentDomains, desired.domains)) {
+    steps.push({ action: 'update-domains', before: currentDomains, after: desired.domains });
+  }
+
+  if (!desired.families) {
+    return steps;
+  }
+
+  const matched = new Set();
+  for (const entry of desired.families) {
+    const kitFamily = findKitFamily(current, entry.family);
+    if (!kitFamily) {
+      steps.push({ action: 'add-family', family: entry.family, variations: entry.variations });
+      continue;
+    }
+    matched.add(kitFamily);
+    const before = kitFamilyVariations(kitFamily);
+    if (entry.variations.length > 0 && !sameMembers(before, entry.variations)) {
+      steps.push({ action: 'update-family', family: kitFamilyRef(kitFamily), before, variations: entry.variations });
+    }
+  }
+
+  for (const kitFamily of current.families || []) {
+    if (!matched.has(kitFamily)) {
+      steps.push({ action: 'remove-family', family: kitFamilyRef(kitFamily), variations: kitFamilyVariations(kitFamily) });
+    }
+  }
+
+  return steps;
+}
+
+function recordKitSnapshot(kit) {
+  if (!hasSqlite()) {
+    throw new Error(SQLITE_UNAVAILABLE_MESSAGE);
+  }
+  ensureIndexSchema();
+  const snapshot = kitSnapshot(kit);
+  const result = sqliteRun(`
+    INSERT INTO kit_snapshots (kit_id, kit_name, hash, snapshot_json, created_at)
+    VALUES (?, ?, ?, ?, ?);
+  `, [snapshot.id, snapshot.name || '', hashKitSnapshot(snapshot), JSON.stringify(snapshot), nowIso()]);
+  return result.lastInsertRowid || null;
+}
+
+function rowToKitSnapshot(row) {
+  const snapshot = JSON.parse(row.snapshot_json || '{}');
+  return {
+    id: Number.parseInt(String(row.id), 10),
+    kitId: row.kit_id,
+    kitName: row.kit_name || '',
+    hash: row.hash,
+    createdAt: row.created_at,
+    domains: snapshot.domains || [],
+    familyCount: (snapshot.families || []).length,
+    variationCount: (snapshot.families || []).reduce((sum, f) => sum + (f.variations || []).length, 0),
+    snapshot,
+  };
+}
+
+function listKitSnapshots(kitId, limit) {
+  ensureIndexSchema();
+  return sqliteAll(`
+    SELECT id, kit_id, kit_name, hash, snapshot_json, created_at
+    FROM kit_snapshots
+    WHERE kit_id = ?
+    ORDER BY id DESC
+    LIMIT ?;
+  `, [kitId, limit]).map((row) => rowToKitSnapshot(row));
+}
+
+function getKitSnapshot(snapshotId) {
+  ensureIndexSchema();
+  const rows = sqliteAll(`
+    SELECT id, kit_id, kit_name, hash, snapshot_json, created_at
+    FROM kit_snapshots
+    WHERE id = ?;
+  `, [toNonNegativeInt(snapshotId, 0)]);
+  return rows.length > 0 ? rowToKitSnapshot(rows[0]) : null;
+}
+
+// `kits publish`, `kits apply --publish` and `kits rollback` all refuse to drop families from the
+// live kit without --confirm; a dry run only warns.
+function requirePublishConfirmation(removed, flags, warnings, details) {
+  if (removed.length === 0 || flags.confirm) return;
+  const message = `Publishing removes families from the live kit: ${removed.join(', ')}.`;
+  if (!flags['dry-run']) {
+    fail(`${message} Rerun with --confirm to publish anyway.`, 2, details, isJson(flags));
+  }
+  warnings.push(`${message} A real publish requires --confirm.`);
+}
+
+// Live families that will be gone from the draft once `plan` has run.
+function plannedPublishRemovals(published, current, plan) {
+  if (!published) return [];
+  const removed = new Set(plan.filter((step) => step.action === 'remove-family').map((step) => step.family));
+  const after = {
+    families: [
+      ...(current.families || []).filter((f) => !removed.has(kitFamilyRef(f))),
+      ...plan.filter((step) => step.action === 'add-family').map((step) => ({ id: step.family })),
+    ],
+  };
+  return kitSnapshot(published).families
+    .filter((f) => !findKitFamily(after, f.slug))
+    .map((f) => f.slug);
+}
+
+async function publishKit(kitId, warnings = []) {
+  await requestApi(`/kits/${encodeURIComponent(kitId)}/publish`, { method: 'POST' });
+  const published = await getPublishedKitSafe({ id: kitId });
+  if (published) {
+    try {
+      recordKitSnapshot(published);
+    } catch (err) {
+      warnings.push(`Publish snapshot was not stored: ${err.message}.`);
+    }
+  }
+  return published;
+}
+
+async function applyKitPlan(kitId, steps, warnings = []) {
+  let failures = 0;
+  for (const step of steps) {
+    if (step.status) continue;
+    if (step.action === 'publish' && failures > 0) {
+      step.status = 'skipped';
+      continue;
+    }
+    try {
+      if (step.action === 'update-domains') {
+        await requestApi(`/kits/${encodeURIComponent(kitId)}`, {
+          method: 'POST',
+          form: { domains: step.after },
+        });
+      } else if (step.action === 'add-family' || step.action === 'update-family') {
+        await postKitFamily(kitId, step.family, step.variations);
+      } else if (step.action === 'remove-family') {
+        await requestApi(kitFamilyPath(kitId, step.family), { method: 'DELETE' });
+      } else if (step.action === 'publish') {
+        await publishKit(kitId, warnings);
+      }
+      step.status = 'applied';
+    } catch (err) {
+      failures += 1;
+      step.status = 'failed';
+      step.error = err.message;
+    }
+  }
+  return failures;
+}
+
+async function commandKitsApply(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const file = path.resolve(String(flags.file || 'afont.kit.json'));
+  const dryRun = Boolean(flags['dry-run']);
+  const publish = Boolean(flags.publish);
+  const manifest = readKitManifest(file, isJson(flags));
+
+  const existing = await findKitByNameOrId(manifest.name);
+  const current = existing
+    ? await getKitDetail(existing)
+    : { name: manifest.name, domains: [], families: [] };
+  const plan = planKitChanges(current, manifest);
+  const warnings = [];
+  let removed = [];
+  if (publish) {
+    removed = plannedPublishRemovals(existing ? await getPublishedKitSafe(existing) : null, current, plan);
+    requirePublishConfirmation(removed, flags, warnings, { plan, removed });
+    plan.push({ action: 'publish' });
+  }
+
+  let kit = normalizeKit(existing ? current : { id: 'dry-run-kit', name: manifest.name, domains: manifest.domains || [] });
+  let failures = 0;
+  if (dryRun) {
+    for (const step of plan) step.status = 'planned';
+  } else {
+    const createStep = plan.find((step) => step.action === 'create-kit');
+    if (createStep) {
+      const ensured = await ensureKit(manifest.name, manifest.domains || [], { existing: null });
+      kit = ensured.kit;
+      createStep.status = 'applied';
+    }
+    failures = await applyKitPlan(kit.id, plan, warnings);
+    kit = normalizeKit(await getKitDetail(kit));
+  }
+  if (failures > 0) {
+    warnings.push(`${failures} plan step(s) failed; see result.plan.`);
+  }
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit,
+      plan,
+      warnings,
+      nextActions: dryRun
+        ? [`Run afont kits apply --file ${file}${publish ? ' --publish' : ''}${removed.length > 0 ? ' --confirm' : ''} without --dry-run`]
+        : (publish
+            ? [`Run afont kits embed --kit ${kit.id}`]
+            : [`Run afont kits publish --kit ${kit.id}`]),
+      dryRun,
+      action: 'apply',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+function kitSnapshot(kit) {
+  const families = (Array.isArray(kit.families) ? kit.families : [])
+    .map((f) => ({
+      id: f.id || '',
+      slug: f.slug || f.id || '',
+      name: f.name || '',
+      cssNames: Array.isArray(f.css_names) ? [...f.css_names] : (f.css_name ? [f.css_name] : []),
+      variations: kitFamilyVariations(f).sort(),
+    }))
+    .sort((a, b) => a.slug.localeCompare(b.slug));
+
+  return {
+    id: kit.id || '',
+    name: kit.name || '',
+    domains: (Array.isArray(kit.domains) ? [...kit.domains] : []).sort(),
+    families,
+  };
+}
+
+// Only families and variations are hashed, so a kit and its clone (same fonts, other id, domains
+// and CSS aliases) hash alike.
+function hashKitSnapshot(snapshot) {
+  const canonical = JSON.stringify({
+    families: snapshot.families.map((f) => [f.slug, f.variations]),
+  });
+  return `sha256-${crypto.createHash('sha256').update(canonical).digest('hex')}`;
+}
+
+function diffKitSnapshots(before, after) {
+  const beforeFamilies = new Map(before.families.map((f) => [f.slug, f]));
+  const afterFamilies = new Map(after.families.map((f) => [f.slug, f]));
+  const diff = {
+    changed: false,
+    domains: {
+      added: after.domains.filter((d) => !before.domains.includes(d)),
+      removed: before.domains.filter((d) => !after.domains.includes(d)),
+    },
+    families: {
+      added: after.families.filter((f) => !beforeFamilies.has(f.slug)).map((f) => f.slug),
+      removed: before.families.filter((f) => !afterFamilies.has(f.slug)).map((f) => f.slug),
+      changed: [],
+    },
+  };
+
+  for (const [slug, next] of afterFamilies) {
+    const prior = beforeFamilies.get(slug);
+    if (!prior) continue;
+    const entry = {
+      family: slug,
+      added: next.variations.filter((v) => !prior.variations.includes(v)),
+      removed: prior.variations.filter((v) => !next.variations.includes(v)),
+    };
+    if (!sameMembers(prior.cssNames, next.cssNames)) {
+      entry.cssNames = { before: prior.cssNames, after: next.cssNames };
+    }
+    if (entry.added.length > 0 || entry.removed.length > 0 || entry.cssNames) {
+      diff.families.changed.push(entry);
+    }
+  }
+
+  diff.changed = diff.domains.added.length > 0
+    || diff.domains.removed.length > 0
+    || diff.families.added.length > 0
+    || diff.families.removed.length > 0
+    || diff.families.changed.length > 0;
+  return diff;
+}
+
+function readKitLock(filePath, jsonMode) {
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    fail(`Could not read kit lock: ${filePath}`, 2, { originalError: error.message }, jsonMode);
+  }
+  if (!lock?.kit?.id || !Array.isArray(lock.families)) {
+    fail('Kit lock is missing "kit.id" or "families". Regenerate it with afont kits lock.', 2, { file: filePath }, jsonMode);
+  }
+  return lock;
+}
+
+function lockToSnapshot(lock) {
+  return {
+    id: lock.kit.id,
+    name: lock.kit.name || '',
+    domains: (Array.isArray(lock.kit.domains) ? [...lock.kit.domains] : []).sort(),
+    families: lock.families
+      .map((f) => ({
+        id: f.id || '',
+        slug: f.slug || f.id || '',
+        name: f.name || '',
+        cssNames: Array.isArray(f.cssNames) ? [...f.cssNames] : [],
+        variations: (Array.isArray(f.variations) ? [...f.variations] : []).sort(),
+      }))
+      .sort((a, b) => a.slug.localeCompare(b.slug)),
+  };
+}
+
+async function commandKitsLock(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const file = path.resolve(String(flags.file || 'afont.lock.json'));
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const snapshot = kitSnapshot(detail);
+  const hash = hashKitSnapshot(snapshot);
+
+  const lock = {
+    lockfileVersion: 1,
+    generatedAt: nowIso(),
+    kit: {
+      id: snapshot.id,
+      name: snapshot.name,
+      domains: snapshot.domains,
+    },
+    families: snapshot.families,
+    hash,
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(lock, null, 2)}\n`);
+
+  const payload = {
+    result: {
+      intent: 'kit_lock',
+      kit: normalizeKit(detail),
+      lock: {
+        file,
+        hash,
+        familyCount: snapshot.families.length,
+        variationCount: snapshot.families.reduce((sum, f) => sum + f.variations.length, 0),
+      },
+      warnings: [],
+      nextActions: [
+        `Commit ${path.basename(file)} to version control.`,
+        `Run afont kits verify-lock --file ${file} in CI`,
+      ],
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+async function commandKitsVerifyLock(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const file = path.resolve(String(flags.file || 'afont.lock.json'));
+  const lock = readKitLock(file, isJson(flags));
+  const warnings = [];
+  const locked = lockToSnapshot(lock);
+  const lockedHash = hashKitSnapshot(locked);
+  if (lockedHash !== lock.hash) {
+    fail(`${path.basename(file)} does not match its recorded hash and may have been edited by hand. Regenerate it with afont kits lock.`, 2, {
+      file,
+      hash: lock.hash || '',
+      computedHash: lockedHash,
+    }, isJson(flags));
+  }
+
+  const kit = await resolveKitOrFail(flags.kit || lock.kit.id, isJson(flags));
+  const live = kitSnapshot(await getKitDetail(kit));
+  const liveHash = hashKitSnapshot(live);
+  const diff = diffKitSnapshots(locked, live);
+  // Domains belong to one kit: they count as drift only when verifying the locked kit itself.
+  const sameKit = kit.id === lock.kit.id;
+  const domainsChanged = diff.domains.added.length > 0 || diff.domains.removed.length > 0;
+  const drift = liveHash !== lockedHash || (sameKit && domainsChanged);
+  if (!sameKit && domainsChanged) {
+    warnings.push(`Kit ${kit.id} has different domains than locked kit ${lock.kit.id}; only families and variations are compared.`);
+  }
+
+  const payload = {
+    result: {
+      intent: 'kit_lock',
+      kit: normalizeKit(kit),
+      lock: {
+        file,
+        hash: lock.hash || '',
+        liveHash,
+        drift,
+      },
+      diff,
+      warnings,
+      nextActions: drift
+        ? [
+            `Run afont kits apply to restore the kit, or afont kits lock --kit ${kit.id} --file ${file} to accept the live state.`,
+          ]
+        : [],
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+  if (drift) {
+    process.exit(1);
+  }
+}
+
+function decodeFvd(fvd) {
+  const value = String(fvd || '');
+  const styleCode = value.slice(0, 1);
+  const weightDigit = Number.parseInt(value.slice(1), 10);
+  const style = styleCode === 'i' ? 'italic' : (styleCode === 'o' ? 'oblique' : 'normal');
+  return {
+    fvd: value,
+    weight: Number.isFinite(weightDigit) ? String(weightDigit < 10 ? weightDigit * 100 : weightDigit) : '',
+    style,
+  };
+}
+
+const KIT_SUBSETS = ['default', 'all', 'none'];
+const KIT_FONT_DISPLAYS = ['auto', 'block', 'swap', 'fallback', 'optional'];
+const KIT_OPENTYPE_FEATURES = { on: true, off: false };
+
+// `subset` is also the kit's language support: `default` serves the languages the family lists,
+// `all` every character the fonts carry. OpenType features are served unless switched off.
+function kitSettings(kit) {
+  return {
+    subset: kit.subset || 'default',
+    fontDisplay: kit.font_display || 'auto',
+    openTypeFeatures: kit.opentype_features !== false && String(kit.opentype_features) !== 'false',
+  };
+}
+
+function describeKitFamilies(kit) {
+  const settings = kitSettings(kit);
+  const families = Array.isArray(kit.families) ? kit.families : [];
+  return families.map((f) => ({
+    id: f.id || '',
+    slug: f.slug || f.id || '',
+    name: f.name || '',
+    cssNames: Array.isArray(f.css_names) ? [...f.css_names] : (f.css_name ? [f.css_name] : []),
+    cssStack: f.css_stack || f.stack || '',
+    subset: f.subset || settings.subset,
+    variations: kitFamilyVariations(f).map((fvd) => decodeFvd(fvd)),
+  }));
+}
+
+async function getPublishedKitSafe(kit) {
+  try {
+    const data = await requestApi(`/kits/${encodeURIComponent(kit.id)}/published`);
+    return data.kit || null;
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+async function commandKitsShow(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const published = await getPublishedKitSafe(kit);
+  const warnings = [];
+  if (!published) {
+    warnings.push(`Kit ${kit.id} has not been published yet.`);
+  }
+  const diff = diffKitSnapshots(kitSnapshot(published || {}), kitSnapshot(detail));
+  const families = describeKitFamilies(detail);
+
+  const payload = {
+    result: {
+      intent: 'kit_show',
+      kit: normalizeKit(detail),
+      settings: kitSettings(detail),
+      families,
+      published: {
+        exists: Boolean(published),
+        publishedAt: published?.published || null,
+        draftDiffers: diff.changed,
+      },
+      diff,
+      warnings,
+      nextActions: diff.changed
+        ? [`Run afont kits publish --kit ${kit.id} --dry-run to review unpublished changes`]
+        : [`Run afont kits embed --kit ${kit.id}`],
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+async function commandKitsPublish(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const dryRun = Boolean(flags['dry-run']);
+  const requireChanges = Boolean(flags['require-changes']);
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const warnings = [];
+
+  const draft = await getKitDetail(kit);
+  const before = await getPublishedKitSafe(kit);
+  const diff = diffKitSnapshots(kitSnapshot(before || {}), kitSnapshot(draft));
+
+  if (requireChanges && !diff.changed) {
+    fail(`Kit ${kit.id} has no unpublished changes; refusing to publish with --require-changes.`, 2, { diff }, isJson(flags));
+  }
+  requirePublishConfirmation(diff.families.removed, flags, warnings, { diff });
+
+  const published = dryRun
+    ? normalizeKit(kit)
+    : normalizeKit((await publishKit(kit.id, warnings)) || kit);
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit: published,
+      diff,
+      warnings,
+      nextActions: [`Run afont kits embed --kit ${kit.id}`],
+      dryRun,
+      action: 'publish',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+async function commandKitsHistory(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+  if (!hasSqlite()) {
+    fail(`${SQLITE_UNAVAILABLE_MESSAGE}; kit publish history needs one of them.`, 2, undefined, isJson(flags));
+  }
+
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const limit = clampInt(flags.limit || 20, 1, 200, 20);
+  const snapshots = listKitSnapshots(kit.id, limit).map(({ snapshot, ...rest }) => rest);
+
+  const payload = {
+    result: {
+      intent: 'kit_history',
+      kit: normalizeKit(kit),
+      snapshots,
+      warnings: snapshots.length === 0
+        ? [`No publish snapshots stored for kit ${kit.id}. Snapshots are recorded by afont kits publish.`]
+        : [],
+      nextActions: snapshots.length > 0
+        ? [`Run afont kits rollback --kit ${kit.id} --to <snapshot-id> --dry-run`]
+        : [`Run afont kits publish --kit ${kit.id}`],
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+async function commandKitsRollback(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+  if (!hasSqlite()) {
+    fail(`${SQLITE_UNAVAILABLE_MESSAGE}; kit rollback needs one of them.`, 2, undefined, isJson(flags));
+  }
+
+  const dryRun = Boolean(flags['dry-run']);
+  if (!flags.to || flags.to === true) {
+    fail('Missing --to <snapshot-id> for kits rollback.', 2, undefined, isJson(flags));
+  }
+
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const target = getKitSnapshot(flags.to);
+  if (!target) {
+    fail(`Could not find kit snapshot: ${flags.to}`, 3, undefined, isJson(flags));
+  }
+  if (target.kitId !== kit.id) {
+    fail(`Snapshot ${target.id} belongs to kit ${target.kitId}, not ${kit.id}.`, 2, undefined, isJson(flags));
+  }
+
+  const current = await getKitDetail(kit);
+  const plan = planKitChanges(current, {
+    name: target.snapshot.name,
+    domains: target.snapshot.domains,
+    families: target.snapshot.families.map((f) => ({ family: f.slug || f.id, variations: f.variations })),
+  });
+  const warnings = [];
+  const removed = plannedPublishRemovals(await getPublishedKitSafe(kit), current, plan);
+  requirePublishConfirmation(removed, flags, warnings, { plan, removed });
+  plan.push({ action: 'publish' });
+
+  let failures = 0;
+  let refreshed = normalizeKit(current);
+  if (dryRun) {
+    for (const step of plan) step.status = 'planned';
+  } else {
+    failures = await applyKitPlan(kit.id, plan, warnings);
+    refreshed = normalizeKit(await getKitDetail(kit));
+  }
+  if (failures > 0) {
+    warnings.push(`${failures} plan step(s) failed; see result.plan.`);
+  }
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit: refreshed,
+      snapshot: {
+        id: target.id,
+        createdAt: target.createdAt,
+        hash: target.hash,
+      },
+      plan,
+      warnings,
+      nextActions: dryRun
+        ? [`Run afont kits rollback --kit ${kit.id} --to ${target.id}${removed.length > 0 ? ' --confirm' : ''} without --dry-run`]
+        : [`Run afont kits embed --kit ${kit.id}`],
+      dryRun,
+      action: 'rollback',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+async function createKitFromSnapshot(snapshot, options = {}) {
+  const warnings = options.warnings || [];
+  const plan = [
+    { action: 'create-kit', name: options.name, domains: options.domains },
+    ...snapshot.families.map((f) => ({ action: 'add-family', family: f.slug || f.id, variations: f.variations })),
+  ];
+  if (options.publish) {
+    plan.push({ action: 'publish' });
+  }
+
+  if (options.dryRun) {
+    for (const step of plan) step.status = 'planned';
+    return {
+      kit: normalizeKit({ id: 'dry-run-kit', name: options.name, domains: options.domains }),
+      plan,
+      failures: 0,
+    };
+  }
+
+  const { kit } = await ensureKit(options.name, options.domains, { existing: null });
+  plan[0].status = 'applied';
+  const failures = await applyKitPlan(kit.id, plan, warnings);
+  return {
+    kit: normalizeKit(await getKitDetail(kit)),
+    plan,
+    failures,
+  };
+}
+
+async function commandKitsClone(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const name = String(flags.name || '').trim();
+  const dryRun = Boolean(flags['dry-run']);
+  const publish = Boolean(flags.publish);
+  if (!flags.from || flags.from === true) {
+    fail('Missing --from for kits clone.', 2, undefined, isJson(flags));
+  }
+  if (!name) {
+    fail('Missing --name for kits clone.', 2, undefined, isJson(flags));
+  }
+  // Never inherit the source's (production) domains or DEFAULT_DOMAINS: a clone must be told where to serve.
+  const domains = parseCommaList(flags.domains === true ? '' : flags.domains);
+  if (domains.length === 0) {
+    fail('Missing --domains for kits clone; pass the staging or preview hosts the new kit should serve.', 2, undefined, isJson(flags));
+  }
+
+  const source = await resolveKitOrFail(String(flags.from), isJson(flags));
+  if (await findKitByNameOrId(name)) {
+    fail(`A kit named "${name}" already exists.`, 2, undefined, isJson(flags));
+  }
+
+  const sourceDetail = await getKitDetail(source);
+  const snapshot = kitSnapshot(sourceDetail);
+  const warnings = [];
+
+  const { kit, plan, failures } = await createKitFromSnapshot(snapshot, {
+    name,
+    domains,
+    publish,
+    dryRun,
+    warnings,
+  });
+  if (failures > 0) {
+    warnings.push(`${failures} plan step(s) failed; see result.plan.`);
+  }
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit,
+      source: normalizeKit(sourceDetail),
+      plan,
+      warnings,
+      nextActions: dryRun
+        ? [`Run afont kits clone --from ${source.id} --name ${name} --domains ${domains.join(',')} without --dry-run`]
+        : (publish
+            ? [`Run afont kits embed --kit ${kit.id}`]
+            : [`Run afont kits publish --kit ${kit.id}`]),
+      dryRun,
+      action: 'clone',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+function writeKitBackup(detail) {
+  const snapshot = kitSnapshot(detail);
+  const backupDir = path.join(CACHE_DIR, 'backups');
+  fs.mkdirSync(backupDir, { recursive: true });
+  const file = path.join(backupDir, `${safeFilenamePart(snapshot.id, 'kit')}-${timestampForFilename()}.json`);
+  const backup = {
+    backupVersion: 1,
+    createdAt: nowIso(),
+    kit: detail,
+    snapshot,
+    hash: hashKitSnapshot(snapshot),
+  };
+  fs.writeFileSync(file, `${JSON.stringify(backup, null, 2)}\n`);
+  return file;
+}
+
+async function commandKitsDelete(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const dryRun = Boolean(flags['dry-run']);
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  if (!dryRun && !flags.yes) {
+    fail(`Refusing to delete kit ${kit.id} (${kit.name || 'unnamed'}) without --yes.`, 2, {
+      nextActions: [`Run afont kits delete --kit ${kit.id} --dry-run to preview`, `Rerun with --yes to delete`],
+    }, isJson(flags));
+  }
+
+  const detail = await getKitDetail(kit);
+  let backupFile = '';
+  if (!dryRun) {
+    backupFile = writeKitBackup(detail);
+    await requestApi(`/kits/${encodeURIComponent(kit.id)}`, { method: 'DELETE' });
+  }
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit: normalizeKit(detail),
+      backup: {
+        file: backupFile,
+        familyCount: kitSnapshot(detail).families.length,
+      },
+      warnings: [],
+      nextActions: dryRun
+        ? [`Run afont kits delete --kit ${kit.id} --yes`]
+        : [`Run afont kits restore --file ${backupFile} to recreate the kit`],
+      dryRun,
+      action: 'delete',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+async function commandKitsRestore(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+  if (!flags.file || flags.file === true) {
+    fail('Missing --file for kits restore.', 2, undefined, isJson(flags));
+  }
+
+  const file = path.resolve(String(flags.file));
+  let backup;
+  try {
+    backup = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    fail(`Could not read kit backup: ${file}`, 2, { originalError: error.message }, isJson(flags));
+  }
+  const snapshot = backup?.snapshot || (backup?.kit ? kitSnapshot(backup.kit) : null);
+  if (!snapshot || !Array.isArray(snapshot.families)) {
+    fail('Kit backup is missing kit data.', 2, { file }, isJson(flags));
+  }
+
+  const dryRun = Boolean(flags['dry-run']);
+  const publish = Boolean(flags.publish);
+  const name = String(flags.name || snapshot.name || '').trim();
+  const domains = flags.domains ? parseCommaList(flags.domains) : snapshot.domains;
+  if (!name) {
+    fail('Missing --name and the backup has no kit name.', 2, undefined, isJson(flags));
+  }
+  if (await findKitByNameOrId(name)) {
+    fail(`A kit named "${name}" already exists. Pass --name to restore under a different name.`, 2, undefined, isJson(flags));
+  }
+
+  const warnings = [];
+  const { kit, plan, failures } = await createKitFromSnapshot(snapshot, {
+    name,
+    domains,
+    publish,
+    dryRun,
+    warnings,
+  });
+  if (!dryRun && snapshot.id && kit.id !== snapshot.id) {
+    warnings.push(`Restored kit has a new ID (${kit.id}, was ${snapshot.id}); update embed snippets.`);
+  }
+  if (failures > 0) {
+    warnings.push(`${failures} plan step(s) failed; see result.plan.`);
+  }
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit,
+      backup: {
+        file,
+        familyCount: snapshot.families.length,
+      },
+      plan,
+      warnings,
+      nextActions: dryRun
+        ? [`Run afont kits restore --file ${file} without --dry-run`]
+        : (publish
+            ? [`Run afont kits embed --kit ${kit.id}`]
+            : [`Run afont kits publish --kit ${kit.id}`]),
+      dryRun,
+      action: 'restore',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+function isValidKitDomain(domain) {
+  const localhost = /^(localhost|127\.0\.0\.1|\[::1\])(:\d{1,5})?$/;
+  if (localhost.test(domain)) return true;
+  const label = '[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?';
+  const hostname = new RegExp(`^(\\*\\.)?(?:${label}\\.)+${label}$`);
+  return hostname.test(domain) && domain.length <= 253;
+}
+
+function parseDomainFlags(flags) {
+  return flagValues(flags.domain)
+    .flatMap((value) => parseCommaList(value))
+    .map((value) => value.toLowerCase().replace(/\.$/, ''));
+}
+
+async function commandKitsDomains(sub, flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+  if (!['list', 'add', 'remove'].includes(sub)) {
+    fail(sub ? `Unknown kits domains subcommand: ${sub}` : 'Missing kits domains subcommand (list, add, remove).', 2, undefined, isJson(flags));
+  }
+
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const before = Array.isArray(detail.domains) ? [...detail.domains] : [];
+
+  if (sub === 'list') {
+    const payload = {
+      result: {
+        intent: 'kit_domains',
+        kit: normalizeKit(detail),
+        domains: { before, after: before, added: [], removed: [] },
+        warnings: [],
+        nextActions: [`Run afont kits domains add --kit ${kit.id} --domain <host>`],
+      },
+      meta: {
+        source: 'adobe_api',
+        timestamp: nowIso(),
+      },
+    };
+    printPayload(payload, isJson(flags));
+    return;
+  }
+
+  const dryRun = Boolean(flags['dry-run']);
+  const requested = parseDomainFlags(flags);
+  if (requested.length === 0) {
+    fail(`Missing --domain for kits domains ${sub}.`, 2, undefined, isJson(flags));
+  }
+  const invalid = requested.filter((domain) => !isValidKitDomain(domain));
+  if (invalid.length > 0) {
+    fail(`Invalid domain: ${invalid.join(', ')}`, 2, {
+      hint: 'Use a hostname such as example.com, a wildcard such as *.example.com, or localhost[:port].',
+    }, isJson(flags));
+  }
+
+  const warnings = [];
+  let after;
+  if (sub === 'add') {
+    after = Array.from(new Set([...before, ...requested]));
+    const existing = requested.filter((domain) => before.includes(domain));
+    if (existing.length > 0) warnings.push(`Already in kit: ${existing.join(', ')}.`);
+  } else {
+    after = before.filter((domain) => !requested.includes(domain));
+    const missing = requested.filter((domain) => !before.includes(domain));
+    if (missing.length > 0) warnings.push(`Not in kit: ${missing.join(', ')}.`);
+  }
+  // A kit with no domains is served nowhere, and the API has no documented way to send an empty
+  // list, so even --force cannot empty it.
+  if (after.length === 0) {
+    if (flags.force) {
+      fail(`--force cannot remove every domain from kit ${kit.id}: the Typekit API has no way to clear a kit's domains. Add the replacement domain first, or use afont kits delete.`, 2, { before }, isJson(flags));
+    }
+    fail(`Refusing to remove every domain from kit ${kit.id}; add the replacement domain first.`, 2, { before }, isJson(flags));
+  }
+
+  const diff = {
+    before,
+    after,
+    added: after.filter((domain) => !before.includes(domain)),
+    removed: before.filter((domain) => !after.includes(domain)),
+  };
+  let refreshed = normalizeKit({ ...detail, domains: after });
+  if (!dryRun && (diff.added.length > 0 || diff.removed.length > 0)) {
+    const updated = await requestApi(`/kits/${encodeURIComponent(kit.id)}`, {
+      method: 'POST',
+      form: { domains: after },
+    });
+    refreshed = normalizeKit(updated.kit || { ...detail, domains: after });
+  }
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit: refreshed,
+      domains: diff,
+      warnings,
+      nextActions: [`Run afont kits publish --kit ${kit.id}`],
+      dryRun,
+      action: `domains-${sub}`,
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+async function commandKitsSettings(flags) {
+  if (!hasToken()) {
+    fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
+  }
+
+  const requested = {};
+  if (flags.subset !== undefined) {
+    const subset = String(flags.subset).trim().toLowerCase();
+    if (!KIT_SUBSETS.includes(subset)) {
+      fail(`Unknown --subset: ${subset}. Use one of: ${KIT_SUBSETS.join(', ')}.`, 2, undefined, isJson(flags));
+    }
+    requested.subset = subset;
+  }
+  if (flags['font-display'] !== undefined) {
+    const fontDisplay = String(flags['font-display']).trim().toLowerCase();
+    if (!KIT_FONT_DISPLAYS.includes(fontDisplay)) {
+      fail(`Unknown --font-display: ${fontDisplay}. Use one of: ${KIT_FONT_DISPLAYS.join(', ')}.`, 2, undefined, isJson(flags));
+    }
+    requested.fontDisplay = fontDisplay;
+  }
+  if (flags['opentype-features'] !== undefined) {
+    const features = String(flags['opentype-features']).trim().toLowerCase();
+    if (!Object.hasOwn(KIT_OPENTYPE_FEATURES, features)) {
+      fail(`Unknown --opentype-features: ${features}. Use one of: ${Object.keys(KIT_OPENTYPE_FEATURES).join(', ')}.`, 2, undefined, isJson(flags));
+    }
+    requested.openTypeFeatures = KIT_OPENTYPE_FEATURES[features];
+  }
+
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const before = kitSettings(detail);
+
+  if (Object.keys(requested).length === 0) {
+    const payload = {
+      result: {
+        intent: 'kit_settings',
+        kit: normalizeKit(detail),
+        settings: before,
+        warnings: [],
+        nextActions: [`Run afont kits settings --kit ${kit.id} --font-display swap to change a setting`],
+      },
+      meta: {
+        source: 'adobe_api',
+        timestamp: nowIso(),
+      },
+    };
+    printPayload(payload, isJson(flags));
+    return;
+  }
+
+  const dryRun = Boolean(flags['dry-run']);
+  const after = { ...before, ...requested };
+  const changes = Object.keys(requested)
+    .filter((key) => before[key] !== after[key])
+    .map((key) => ({ setting: key, before: before[key], after: after[key] }));
+  const warnings = changes.length === 0 ? ['Kit settings already match; nothing to update.'] : [];
+
+  let settings = after;
+  let refreshed = normalizeKit(detail);
+  if (!dryRun && changes.length > 0) {
+    const form = {};
+    if (requested.subset) form.subset = requested.subset;
+    if (requested.fontDisplay) form.font_display = requested.fontDisplay;
+    if (requested.openTypeFeatures !== undefined) form.opentype_features = String(requested.openTypeFeatures);
+    const updated = await requestApi(`/kits/${encodeURIComponent(kit.id)}`, {
+      method: 'POST',
+      form,
+    });
+    if (updated.kit) {
+      refreshed = normalizeKit(updated.kit);
+      settings = kitSettings({ ...detail, ...form, ...updated.kit });
+    }
+  }
+
+  const payload = {
+    result: {
+      intent: 'kit_update',
+      kit: refreshed,
+      settings,
+      changes,
+      warnings,
+      nextActions: changes.length > 0 ? [`Run afont kits publish --kit ${kit.id}`] : [],
+      dryRun,
+      action: 'settings',
+    },
+    meta: {
+      source: 'adobe_api',
+      timestamp: nowIso(),
+    },
+  };
+
+  printPayload(payload, isJson(flags));
+}
+
+const EXPORT_FORMATS = ['tokens', 'tailwind', 'scss', 'css-vars'];
+
+// css_stack usually repeats the family's own names ("droid-serif",serif); keep only the fallbacks.
+function fallbackStack(family, cssName) {
+  const own = new Set([cssName, ...family.cssNames]);
+  const fallbacks = String(family.cssStack || '').split(',')
+    .map((entry) => unquoteCss(entry))
+    .filter((entry) => entry && !own.has(entry));
+  return fallbacks.length > 0 ? fallbacks : ['sans-serif'];
+}
+
+function exportKitFamilies(kit, stylesheet) {
+  const resolved = new Map((stylesheet?.families || [])
+    .filter((family) => family.family && family.cssName)
+    .map((family) => [family.family, family.cssName]));
+  return describeKitFamilies(kit).map((family) => {
+    const cssName = resolved.get(family.slug) || family.cssNames[0] || family.slug;
+    const weights = Array.from(new Set(family.variations.map((v) => Number.parseInt(v.weight, 10)).filter(Number.isFinite)))
+      .sort((a, b) => a - b);
+    const styles = Array.from(new Set(family.variations.map((v) => v.style)));
+    return {
+      key: family.slug,
+      name: family.name,
+      cssName,
+      fallbacks: fallbackStack(family, cssName),
+      weights,
+      styles,
+    };
+  });
+}
+
+function cssFontList(family) {
+  return [`"${family.cssName}"`, ...family.fallbacks.map((entry) => (/\s/.test(entry) ? `"${entry}"` : entry))].join(', ');
+}
+
+function renderKitExport(format, kit, families) {
+  const header = `Generated by afont kits export from kit ${kit.name || kit.id} (${kit.id}).`;
+  if (format === 'tokens') {
+    const tokens = {
+      $description: header,
+      font: {
+        family: {},
+        weight: {},
+      },
+    };
+    for (const family of families) {
+      tokens.font.family[family.key] = {
+        $type: 'fontFamily',
+        $value: [family.cssName, ...family.fallbacks],
+      };
+      if (family.weights.length > 0) {
+        tokens.font.weight[family.key] = Object.fromEntries(family.weights.map((weight) => [
+          String(weight),
+          { $type: 'fontWeight', $value: weight },
+        ]));
+      }
+    }
+    return `${JSON.stringify(tokens, null, 2)}\n`;
+  }
+  if (format === 'tailwind') {
+    const lines = families.map((family) => `        ${JSON.stringify(family.key)}: ${JSON.stringify([family.cssName, ...family.fallbacks])},`);
+    return [
+      `// ${header}`,
+      'module.exports = {',
+      '  theme: {',
+      '    extend: {',
+      '      fontFamily: {',
+      ...lines,
+      '      },',
+      '    },',
+      '  },',
+      '};',
+      '',
+    ].join('\n');
+  }
+  if (format === 'scss') {
+    const lines = [`// ${header}`];
+    for (const family of families) {
+      lines.push(`$font-${family.key}: ${cssFontList(family)};`);
+      if (family.weights.length > 0) {
+        lines.push(`$font-${family.key}-weights: (${family.weights.join(', ')});`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+  const lines = [`/* ${header} */`, ':root {'];
+  for (const family of families) {
+    lines.push(`  --font-${family.key}: ${cssFontList(family)};`);
+    for (const weight of family.weights) {
+      lines.push(`  --font-${family.key}-weight-${weight}: ${weight};`);
+    }
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+async function commandKitsExport(flags) {
   if (!hasToken()) {
     fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
   }
 
-  const name = String(flags.name || '').trim();
-  const domainsArg = String(flags.domains || DEFAULT_DOMAINS || '').trim();
-  const domains = domainsArg ? domainsArg.split(',').map((d) => d.trim()).filter(Boolean) : [];
-  const dryRun = Boolean(flags['dry-run']);
-
-  if (!name) {
-    fail('Missing --name for kits ensure.', 2, undefined, isJson(flags));
+  const format = flags.format ? String(flags.format).trim().toLowerCase() : '';
+  if (!EXPORT_FORMATS.includes(format)) {
+    fail(format ? `Unknown --format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}.` : `Missing --format (${EXPORT_FORMATS.join(', ')}).`, 2, undefined, isJson(flags));
   }
 
-  let existing = await findKitByNameOrId(name);
-  let action = 'none';
-  let kit;
-
-  if (!existing) {
-    action = 'create';
-    if (dryRun) {
-      kit = normalizeKit({ id: 'dry-run-kit', name, domains });
-    } else {
-      const created = await requestApi('/kits', {
-        method: 'POST',
-        form: {
-          name,
-          domains,
-        },
-      });
-      kit = normalizeKit(created.kit || created);
-    }
-  } else {
-    action = 'update';
-    if (dryRun) {
-      kit = normalizeKit({ ...existing, domains: domains.length > 0 ? domains : existing.domains });
-    } else if (domains.length > 0) {
-      const updated = await requestApi(`/kits/${encodeURIComponent(existing.id)}`, {
-        method: 'POST',
-        form: {
-          domains,
-        },
-      });
-      kit = normalizeKit(updated.kit || updated);
-    } else {
-      kit = normalizeKit(existing);
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const normalized = normalizeKit(detail);
+  const warnings = [];
+  const stylesheet = flags['resolve-css'] ? await resolveKitStylesheet(detail, flags, warnings) : null;
+  const families = exportKitFamilies(detail, stylesheet);
+  if (families.length === 0) {
+    warnings.push(`Kit ${normalized.id} has no families to export.`);
+  }
+  const content = renderKitExport(format, normalized, families);
+
+  const file = flags.output && flags.output !== true ? path.resolve(String(flags.output)) : '';
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  } else if (!isJson(flags)) {
+    // stdout carries only the rendered file, so warnings go to stderr instead of being dropped.
+    for (const warning of [...warnings, ...ACTIVE_CONFIG.warnings]) {
+      process.stderr.write(`Warning: ${warning}\n`);
     }
+    process.stdout.write(content);
+    return;
   }
 
   const payload = {
     result: {
-      intent: 'kit_update',
-      kit,
-      warnings: [],
-      nextActions: [
-        `Run afont kits add-family --kit ${kit.id || name} --family <family-slug>`,
-        `Run afont kits publish --kit ${kit.id || name}`,
-      ],
-      dryRun,
-      action,
+      intent: 'kit_export',
+      kit: normalized,
+      export: {
+        format,
+        file,
+        bytes: Buffer.byteLength(content),
+        families,
+        ...(file ? {} : { content }),
+      },
+      warnings,
+      nextActions: [`Load ${normalized.htmlLinkTag || 'the kit stylesheet'} wherever the exported ${format} values are used.`],
     },
     meta: {
       source: 'adobe_api',
@@ -1751,83 +5354,118 @@ async function commandKitsEnsure(flags) {
   printPayload(payload, isJson(flags));
 }
 
-function parseCommaList(value) {
-  if (!value) return [];
-  return String(value)
-    .split(',')
-    .map((part) => part.trim())
-    .filter(Boolean);
+// A mirror holds downloaded font files as <mirror>/<family-slug>/<fvd>.<ext>; the smallest
+// format present (usually woff2) is what a browser would fetch.
+function mirrorFontBytes(mirrorDir, slug, fvd) {
+  const dir = path.join(mirrorDir, slug);
+  if (!mirrorDir || !fs.existsSync(dir)) return null;
+  const sizes = fs.readdirSync(dir)
+    .filter((name) => path.basename(name, path.extname(name)) === fvd)
+    .map((name) => fs.statSync(path.join(dir, name)).size);
+  return sizes.length > 0 ? Math.min(...sizes) : null;
 }
 
-async function resolveKitOrFail(input, jsonMode) {
-  const value = input || DEFAULT_KIT;
-  if (!value) {
-    fail('Missing --kit and ADOBE_FONTS_DEFAULT_KIT is not set.', 2, undefined, jsonMode);
-  }
+function estimateKitTransfer(families, options = {}) {
+  const mirrorDir = options.mirrorDir || '';
+  let measured = 0;
+  let estimated = 0;
+  const perFamily = families.map((family) => {
+    let bytes = 0;
+    for (const fvd of family.variations) {
+      const size = mirrorFontBytes(mirrorDir, family.slug, fvd);
+      if (size === null) {
+        estimated += 1;
+        bytes += ESTIMATED_VARIATION_BYTES;
+      } else {
+        measured += 1;
+        bytes += size;
+      }
+    }
+    return { family: family.slug, variations: family.variations.length, bytes };
+  });
+  const fontBytes = perFamily.reduce((sum, family) => sum + family.bytes, 0);
+  const cssBytes = options.cssBytes || 0;
+  return {
+    families: families.length,
+    variations: perFamily.reduce((sum, family) => sum + family.variations, 0),
+    cssBytes,
+    fontBytes,
+    estimatedKb: Math.round((cssBytes + fontBytes) / 1024),
+    measuredVariations: measured,
+    estimatedVariations: estimated,
+    perFamily,
+  };
+}
 
-  const match = await findKitByNameOrId(value);
-  if (!match) {
-    fail(`Could not find kit: ${value}`, 3, undefined, jsonMode);
-  }
+function budgetFamilies(kit) {
+  return (Array.isArray(kit.families) ? kit.families : []).map((family) => ({
+    slug: family.slug || family.id || '',
+    variations: kitFamilyVariations(family),
+  }));
+}
 
-  return match;
+function budgetViolations(estimate, maxVariations, maxKb) {
+  const violations = [];
+  if (maxVariations > 0 && estimate.variations > maxVariations) {
+    violations.push(`${estimate.variations} variations exceed the budget of ${maxVariations}.`);
+  }
+  if (maxKb > 0 && estimate.estimatedKb > maxKb) {
+    violations.push(`Estimated transfer of ${estimate.estimatedKb} KB exceeds the budget of ${maxKb} KB.`);
+  }
+  return violations;
 }
 
-async function commandKitsAddFamily(flags) {
+async function commandKitsBudget(flags) {
   if (!hasToken()) {
     fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
   }
 
-  const kitRef = flags.kit;
-  const family = String(flags.family || '').trim();
-  const weights = parseCommaList(flags.weights);
-  const styles = parseCommaList(flags.styles);
-  const dryRun = Boolean(flags['dry-run']);
-
-  if (!family) {
-    fail('Missing --family for kits add-family.', 2, undefined, isJson(flags));
+  const maxVariations = toNonNegativeInt(flags['max-variations'] ?? BUDGET_MAX_VARIATIONS, -1);
+  const maxKb = toNonNegativeInt(flags['max-kb'] ?? BUDGET_MAX_KB, -1);
+  if (maxVariations < 0 || maxKb < 0) {
+    fail('--max-variations and --max-kb must be non-negative integers.', 2, undefined, isJson(flags));
   }
-
-  const kit = await resolveKitOrFail(kitRef, isJson(flags));
-
-  const variations = [];
-  if (weights.length > 0) {
-    for (const weight of weights) {
-      if (styles.length > 0) {
-        for (const style of styles) {
-          const prefix = style.toLowerCase().startsWith('i') ? 'i' : 'n';
-          variations.push(`${prefix}${weight}`);
-        }
-      } else {
-        variations.push(`n${weight}`);
-      }
-    }
+  const mirrorDir = flags.mirror && flags.mirror !== true ? path.resolve(String(flags.mirror)) : FONT_MIRROR_DIR;
+  if (mirrorDir && !fs.existsSync(mirrorDir)) {
+    fail(`Font mirror directory not found: ${mirrorDir}`, 2, undefined, isJson(flags));
   }
 
-  if (!dryRun) {
-    const form = {};
-    if (variations.length > 0) {
-      form.variations = variations;
-    }
-    await requestApi(`/kits/${encodeURIComponent(kit.id)}/families/${encodeURIComponent(family)}`, {
-      method: 'POST',
-      form,
-    });
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const warnings = [];
+  let cssBytes = 0;
+  try {
+    const base = flags['css-base'] && flags['css-base'] !== true ? String(flags['css-base']) : CSS_BASE_URL;
+    cssBytes = (await fetchKitStylesheet(normalizeKit(detail).id, base)).bytes;
+  } catch (err) {
+    warnings.push(`Could not fetch the published stylesheet; CSS size is not included: ${err.message}`);
   }
 
-  const refreshed = dryRun
-    ? normalizeKit(kit)
-    : normalizeKit((await requestApi(`/kits/${encodeURIComponent(kit.id)}`)).kit || kit);
+  const estimate = estimateKitTransfer(budgetFamilies(detail), { cssBytes, mirrorDir });
+  if (estimate.estimatedVariations > 0) {
+    warnings.push(`${estimate.estimatedVariations} variation(s) were estimated at ${ESTIMATED_VARIATION_BYTES / 1024} KB each${mirrorDir ? ' (not found in the mirror)' : '; set --mirror or AFONT_FONT_MIRROR_DIR for measured sizes'}.`);
+  }
+  if (maxVariations === 0 && maxKb === 0) {
+    warnings.push('No budget set; pass --max-variations and/or --max-kb.');
+  }
+  const violations = budgetViolations(estimate, maxVariations, maxKb);
 
   const payload = {
     result: {
-      intent: 'kit_update',
-      kit: refreshed,
-      fonts: [{ familyName: family, cssFamily: family, classification: 'unknown', foundry: 'unknown', weights, styles }],
-      warnings: [],
-      nextActions: [`Run afont kits publish --kit ${kit.id}`],
-      dryRun,
-      action: 'add-family',
+      intent: 'kit_budget',
+      kit: normalizeKit(detail),
+      budget: {
+        maxVariations,
+        maxKb,
+        mirrorDir,
+        ...estimate,
+        overBudget: violations.length > 0,
+        violations,
+      },
+      warnings,
+      nextActions: violations.length > 0
+        ? [`Run afont kits update-family --kit ${kit.id} --family <slug> --weights <fewer weights> to trim variations`]
+        : [],
     },
     meta: {
       source: 'adobe_api',
@@ -1836,32 +5474,60 @@ async function commandKitsAddFamily(flags) {
   };
 
   printPayload(payload, isJson(flags));
+  if (violations.length > 0) {
+    process.exit(1);
+  }
 }
 
-async function commandKitsPublish(flags) {
+async function commandKitsEmbed(flags) {
   if (!hasToken()) {
     fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
   }
 
-  const dryRun = Boolean(flags['dry-run']);
-  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const format = flags.format ? String(flags.format).trim().toLowerCase() : '';
+  if (format && !EMBED_FORMATS.includes(format)) {
+    fail(`Unknown --format: ${format}. Use one of: ${EMBED_FORMATS.join(', ')}.`, 2, undefined, isJson(flags));
+  }
 
-  if (!dryRun) {
-    await requestApi(`/kits/${encodeURIComponent(kit.id)}/publish`, { method: 'POST' });
+  const kit = await resolveKitOrFail(flags.kit, isJson(flags));
+  const detail = await getKitDetail(kit);
+  const normalized = normalizeKit(detail);
+  const cssExamples = kitCssExamples(detail);
+  const snippets = {
+    htmlLinkTag: normalized.htmlLinkTag,
+    cssExamples,
+    preconnectTags: preconnectTags(),
+  };
+  if (format) {
+    snippets.format = format;
+    snippets.code = embedSnippet(format, normalized);
   }
 
-  const published = dryRun
-    ? normalizeKit(kit)
-    : normalizeKit((await requestApi(`/kits/${encodeURIComponent(kit.id)}/published`)).kit || kit);
+  const warnings = [];
+  const stylesheet = flags['resolve-css'] ? await resolveKitStylesheet(detail, flags, warnings) : null;
+  if (stylesheet) {
+    snippets.resolvedCssExamples = stylesheet.families
+      .filter((family) => family.family && family.cssName)
+      .map((family) => `font-family: "${family.cssName}", ${family.cssStack};`);
+  }
 
   const payload = {
     result: {
-      intent: 'kit_update',
-      kit: published,
-      warnings: [],
-      nextActions: [`Run afont kits embed --kit ${kit.id}`],
-      dryRun,
-      action: 'publish',
+      intent: 'embed',
+      kit: normalized,
+      settings: kitSettings(detail),
+      snippets,
+      ...(stylesheet ? { stylesheet } : {}),
+      warnings,
+      nextActions: format
+        ? [
+            `Paste the ${format} snippet from result.snippets.code into your app.`,
+            'Apply a cssExample value to your target selector.',
+          ]
+        : [
+            'Insert the link tag in your app head/layout.',
+            'Apply a cssExample value to your target selector.',
+          ],
     },
     meta: {
       source: 'adobe_api',
@@ -1872,29 +5538,213 @@ async function commandKitsPublish(flags) {
   printPayload(payload, isJson(flags));
 }
 
-async function commandKitsEmbed(flags) {
+const AUDIT_EXTENSIONS = new Set(['.css', '.scss', '.html', '.htm', '.jsx', '.tsx', '.vue']);
+const AUDIT_SKIP_DIRS = new Set(['node_modules', '.git', '.next', '.nuxt', '.svelte-kit', 'dist', 'build', 'coverage']);
+const GENERIC_FONT_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif',
+  'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong', '-apple-system', 'blinkmacsystemfont',
+  'inherit', 'initial', 'unset', 'revert', 'revert-layer',
+]);
+
+function listAuditFiles(root) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!AUDIT_SKIP_DIRS.has(entry.name)) walk(full);
+      } else if (entry.isFile() && AUDIT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        files.push(full);
+      }
+    }
+  };
+  if (fs.statSync(root).isDirectory()) {
+    walk(root);
+  } else {
+    files.push(root);
+  }
+  return files.sort();
+}
+
+// CSS values run to the end of the declaration; camelCase JS style values are string
+// literals wrapping the CSS value: fontFamily: '"droid-serif", serif'.
+function auditValue(property, raw) {
+  const value = raw.trim();
+  if (property !== 'fontFamily') {
+    // Inside style="..." the attribute's closing quote ends up on the value.
+    const unbalanced = (value.match(/["']/g) || []).length % 2 === 1;
+    return (unbalanced ? value.replace(/["']\s*$/, '') : value).replace(/\s*!important$/i, '').trim();
+  }
+  const quote = value[0];
+  if (quote !== "'" && quote !== '"' && quote !== '`') return '';
+  const end = value.indexOf(quote, 1);
+  return end > 0 ? value.slice(1, end).trim() : '';
+}
+
+function auditWeight(value) {
+  const normalized = value.toLowerCase();
+  if (normalized === 'normal') return 400;
+  if (normalized === 'bold') return 700;
+  const weight = Number.parseInt(normalized, 10);
+  // fvd codes only cover whole hundreds, so a variable-font weight like 350 is matched as 400.
+  return Number.isFinite(weight) && weight >= 1 && weight <= 1000 ? Math.min(900, Math.max(100, Math.round(weight / 100) * 100)) : null;
+}
+
+// Declarations are grouped per rule block, inline style attribute or JSX style object so a
+// font-weight can be tied to the font-family declared next to it.
+function scanFontUsage(text) {
+  const blocks = [];
+  const boundary = /[{}]|\bstyle\s*=|<[a-zA-Z]/g;
+  let start = 0;
+  let fontFace = false;
+  const pushBlock = (end) => {
+    if (end > start) blocks.push({ start, text: text.slice(start, end), fontFace });
+  };
+  for (let match = boundary.exec(text); match; match = boundary.exec(text)) {
+    pushBlock(match.index);
+    fontFace = match[0] === '{' && /@font-face\s*$/i.test(text.slice(Math.max(0, match.index - 40), match.index));
+    start = match.index + match[0].length;
+  }
+  pushBlock(text.length);
+
+  const usages = [];
+  for (const block of blocks) {
+    const familyMatch = block.text.match(/(font-family|fontFamily)\s*:\s*([^;{}\n>]+)/);
+    const weightMatches = Array.from(block.text.matchAll(/(?:font-weight|fontWeight)\s*:\s*['"`]?([a-z0-9]+)/gi));
+    const styleMatch = block.text.match(/(?:font-style|fontStyle)\s*:\s*['"`]?(italic|oblique|normal)/i);
+    if (!familyMatch && weightMatches.length === 0) continue;
+
+    const value = familyMatch ? auditValue(familyMatch[1], familyMatch[2]) : '';
+    const families = value && !/^(var\(|\$|@|\{)/.test(value)
+      ? value.split(',').map((entry) => unquoteCss(entry)).filter(Boolean)
+      : [];
+    const offset = block.start + (familyMatch ? familyMatch.index : weightMatches[0].index);
+    usages.push({
+      line: text.slice(0, offset).split('\n').length,
+      families,
+      weights: weightMatches.map((match) => auditWeight(match[1])).filter((weight) => weight !== null),
+      style: styleMatch && styleMatch[1].toLowerCase() !== 'normal' ? 'italic' : 'normal',
+      fontFace: block.fontFace,
+    });
+  }
+  return usages;
+}
+
+function auditKitFamilyMatcher(kit) {
+  const entries = describeKitFamilies(kit).map((family) => ({
+    family,
+    names: Array.from(new Set([...family.cssNames, family.slug, family.name].filter(Boolean).map((name) => name.toLowerCase()))),
+  }));
+  return (name) => {
+    const lower = name.toLowerCase();
+    // Published kits may alias a family as "<css-name>-1", "<css-name>-2", ...
+    const hit = entries.find((entry) => entry.names.some((candidate) => lower === candidate
+      || (lower.startsWith(`${candidate}-`) && /^\d+$/.test(lower.slice(candidate.length + 1)))));
+    return hit ? hit.family : null;
+  };
+}
+
+async function commandAudit(flags) {
   if (!hasToken()) {
     fail('Missing ADOBE_FONTS_API_TOKEN.', 2, undefined, isJson(flags));
   }
 
+  const root = path.resolve(String(flags.path && flags.path !== true ? flags.path : '.'));
+  if (!fs.existsSync(root)) {
+    fail(`Audit path not found: ${root}`, 2, undefined, isJson(flags));
+  }
+
   const kit = await resolveKitOrFail(flags.kit, isJson(flags));
-  const detail = (await requestApi(`/kits/${encodeURIComponent(kit.id)}`)).kit || kit;
-  const normalized = normalizeKit(detail);
-  const cssExamples = kitCssExamples(detail);
+  const detail = await getKitDetail(kit);
+  const matchKitFamily = auditKitFamilyMatcher(detail);
+  const files = listAuditFiles(root);
+
+  const localFaces = new Set();
+  const usages = [];
+  for (const file of files) {
+    const relative = path.relative(root, file) || path.basename(file);
+    for (const usage of scanFontUsage(fs.readFileSync(file, 'utf8'))) {
+      if (usage.fontFace) {
+        for (const name of usage.families) localFaces.add(name.toLowerCase());
+        continue;
+      }
+      usages.push({ ...usage, file: relative });
+    }
+  }
+
+  const used = new Set();
+  const missingFamilies = new Map();
+  const missingVariations = new Map();
+  let unattributedWeights = 0;
+  for (const usage of usages) {
+    const kitFamilies = usage.families.map((name) => matchKitFamily(name)).filter(Boolean);
+    for (const family of kitFamilies) used.add(family.slug);
+
+    const primary = usage.families.find((name) => !GENERIC_FONT_FAMILIES.has(name.toLowerCase()));
+    if (primary && !matchKitFamily(primary) && !localFaces.has(primary.toLowerCase())) {
+      if (!missingFamilies.has(primary)) missingFamilies.set(primary, []);
+      missingFamilies.get(primary).push({ file: usage.file, line: usage.line });
+    }
+
+    const family = kitFamilies[0];
+    if (!family) {
+      if (usage.families.length === 0) unattributedWeights += usage.weights.length;
+      continue;
+    }
+    const included = new Set(family.variations.map((variation) => variation.fvd));
+    for (const weight of usage.weights) {
+      const fvd = `${usage.style === 'italic' ? 'i' : 'n'}${weight / 100}`;
+      if (included.size === 0 || included.has(fvd)) continue;
+      const key = `${family.slug}:${fvd}`;
+      if (!missingVariations.has(key)) {
+        missingVariations.set(key, {
+          family: family.slug,
+          fvd,
+          weight: String(weight),
+          style: usage.style,
+          occurrences: [],
+        });
+      }
+      missingVariations.get(key).occurrences.push({ file: usage.file, line: usage.line });
+    }
+  }
+
+  const audit = {
+    path: root,
+    filesScanned: files.length,
+    declarations: usages.length,
+    missingFamilies: Array.from(missingFamilies, ([family, occurrences]) => ({ family, occurrences })),
+    unusedFamilies: describeKitFamilies(detail).map((family) => family.slug).filter((slug) => !used.has(slug)),
+    missingVariations: Array.from(missingVariations.values()),
+  };
+  const issues = audit.missingFamilies.length + audit.unusedFamilies.length + audit.missingVariations.length;
+  const warnings = [];
+  if (files.length === 0) {
+    warnings.push(`No CSS, SCSS, HTML, JSX, TSX or Vue files found under ${root}.`);
+  }
+  if (unattributedWeights > 0) {
+    warnings.push(`${unattributedWeights} font-weight declaration(s) had no font-family alongside them and were not checked.`);
+  }
+
+  const nextActions = [];
+  for (const variation of audit.missingVariations) {
+    nextActions.push(`Run afont kits update-family --kit ${kit.id} --family ${variation.family} --weights <existing + ${variation.weight}> to include ${variation.fvd}`);
+  }
+  if (audit.missingFamilies.length > 0) {
+    nextActions.push(`Run afont search --query <family> and afont kits add-family --kit ${kit.id} --family <slug> for families missing from the kit`);
+  }
+  for (const slug of audit.unusedFamilies) {
+    nextActions.push(`Run afont kits remove-family --kit ${kit.id} --family ${slug} --dry-run if it is no longer needed`);
+  }
 
   const payload = {
     result: {
-      intent: 'embed',
-      kit: normalized,
-      snippets: {
-        htmlLinkTag: normalized.htmlLinkTag,
-        cssExamples,
-      },
-      warnings: [],
-      nextActions: [
-        'Insert the link tag in your app head/layout.',
-        'Apply a cssExample value to your target selector.',
-      ],
+      intent: 'audit',
+      kit: normalizeKit(detail),
+      audit,
+      warnings,
+      nextActions,
+      strict: Boolean(flags.strict),
     },
     meta: {
       source: 'adobe_api',
@@ -1903,6 +5753,9 @@ async function commandKitsEmbed(flags) {
   };
 
   printPayload(payload, isJson(flags));
+  if (flags.strict && issues > 0) {
+    process.exit(1);
+  }
 }
 
 async function main() {
@@ -1916,6 +5769,18 @@ async function main() {
   const command = positional[0];
 
   try {
+    if (command === 'profile' || command === 'config') {
+      applyConfiguration(flags, command, positional[1], { lenient: true });
+      if (command === 'profile') {
+        commandProfile(positional[1], flags);
+      } else {
+        commandConfig(positional[1], flags);
+      }
+      return;
+    }
+
+    applyConfiguration(flags, command, positional[1]);
+
     if (command === 'doctor') {
       await commandDoctor(flags);
       return;
@@ -1931,6 +5796,11 @@ async function main() {
       return;
     }
 
+    if (command === 'audit') {
+      await commandAudit(flags);
+      return;
+    }
+
     if (command === 'index') {
       const sub = positional[1];
       if (!sub) fail('Missing index subcommand.', 2, undefined, isJson(flags));
@@ -1947,6 +5817,10 @@ async function main() {
         commandIndexStats(flags);
         return;
       }
+      if (sub === 'migrate') {
+        commandIndexMigrate(flags);
+        return;
+      }
 
       fail(`Unknown index subcommand: ${sub}`, 2, undefined, isJson(flags));
       return;
@@ -1970,14 +5844,74 @@ async function main() {
         await commandKitsAddFamily(flags);
         return;
       }
+      if (sub === 'remove-family') {
+        await commandKitsRemoveFamily(flags);
+        return;
+      }
+      if (sub === 'update-family') {
+        await commandKitsUpdateFamily(flags);
+        return;
+      }
+      if (sub === 'apply') {
+        await commandKitsApply(flags);
+        return;
+      }
+      if (sub === 'show') {
+        await commandKitsShow(flags);
+        return;
+      }
+      if (sub === 'lock') {
+        await commandKitsLock(flags);
+        return;
+      }
+      if (sub === 'verify-lock') {
+        await commandKitsVerifyLock(flags);
+        return;
+      }
       if (sub === 'publish') {
         await commandKitsPublish(flags);
         return;
       }
+      if (sub === 'clone') {
+        await commandKitsClone(flags);
+        return;
+      }
+      if (sub === 'delete') {
+        await commandKitsDelete(flags);
+        return;
+      }
+      if (sub === 'restore') {
+        await commandKitsRestore(flags);
+        return;
+      }
+      if (sub === 'domains') {
+        await commandKitsDomains(positional[2], flags);
+        return;
+      }
+      if (sub === 'settings') {
+        await commandKitsSettings(flags);
+        return;
+      }
+      if (sub === 'history') {
+        await commandKitsHistory(flags);
+        return;
+      }
+      if (sub === 'rollback') {
+        await commandKitsRollback(flags);
+        return;
+      }
       if (sub === 'embed') {
         await commandKitsEmbed(flags);
         return;
       }
+      if (sub === 'budget') {
+        await commandKitsBudget(flags);
+        return;
+      }
+      if (sub === 'export') {
+        await commandKitsExport(flags);
+        return;
+      }
 
       fail(`Unknown kits subcommand: ${sub}`, 2, undefined, isJson(flags));
       return;
@@ -15,7 +15,7 @@ const TEST_TOKEN = 'test-token';
 async function runAfont(args, options = {}) {
   return new Promise((resolve, reject) => {
     const child = spawn(process.execPath, [AFONT_JS, ...args], {
-      cwd: ROOT_DIR,
+      cwd: options.cwd || ROOT_DIR,
       env: {
         ...process.env,
         AFONT_SKILL_DIR: ROOT_DIR,
@@ -82,6 +82,15 @@ function hasSqliteCli() {
   return probe.status === 0;
 }
 
+function hasNodeSqlite() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 function fixtureFamily(id, options = {}) {
   const slug = options.slug || id;
   const name = options.name || id.replace(/-/g, ' ').replace(/\b\w/g, (m) => m.toUpperCase());
@@ -109,9 +118,14 @@ function fixtureFamily(id, options = {}) {
   };
 }
 
-function toKitFamily(family) {
+function toKitFamily(family, variations) {
   return {
+    id: family.id,
+    slug: family.slug,
     name: family.name,
+    variations: Array.isArray(variations) && variations.length > 0
+      ? [...variations]
+      : (family.variations || []).map((variation) => variation.fvd),
     css_names: Array.isArray(family.css_names) ? [...family.css_names] : [family.slug],
     stack: family.css_stack || 'serif',
   };
@@ -123,16 +137,19 @@ function createApiState() {
       name: 'Droid Serif',
       classification: 'serif',
       cssStack: 'serif',
+      foundry: 'Ascender',
     }),
     fixtureFamily('source-sans-3', {
       name: 'Source Sans 3',
       classification: 'sans-serif',
       cssStack: 'sans-serif',
+      variations: [{ fvd: 'n4' }, { fvd: 'i4' }, { fvd: 'n7' }, { fvd: 'i7' }],
     }),
     fixtureFamily('adobe-caslon-pro', {
       name: 'Adobe Caslon Pro',
       classification: 'serif',
       cssStack: 'serif',
+      languages: ['ben', 'hi'],
     }),
   ];
 
@@ -148,7 +165,9 @@ function createApiState() {
   return {
     families,
     kits,
+    publishedKits: new Map(kits.map((kit) => [kit.id, cloneKit(kit)])),
     nextKitId: 200,
+    cssNameSuffix: '',
     libraries: [{ id: 'full' }],
     libraryFamilyIds: families.map((family) => family.id),
   };
@@ -178,10 +197,36 @@ function cloneKit(kit) {
     id: kit.id,
     name: kit.name,
     domains: [...kit.domains],
-    families: Array.isArray(kit.families) ? kit.families.map((family) => ({ ...family })) : [],
+    ...(kit.subset ? { subset: kit.subset } : {}),
+    ...(kit.font_display ? { font_display: kit.font_display } : {}),
+    ...(kit.opentype_features !== undefined ? { opentype_features: kit.opentype_features } : {}),
+    families: Array.isArray(kit.families)
+      ? kit.families.map((family) => ({ ...family, variations: [...(family.variations || [])] }))
+      : [],
   };
 }
 
+function kitStylesheet(kit, suffix) {
+  const rules = [];
+  for (const family of kit.families || []) {
+    const cssName = `${(family.css_names || [family.slug])[0]}${suffix}`;
+    for (const fvd of family.variations || []) {
+      const fontUrl = `https://use.typekit.net/af/${family.slug}/${fvd}/l?primer=7cdcb44be4a7db8877ffa5c0007b8dd865b3bbc383831fe2ea177f62257a9191&fvd=${fvd}&v=3`;
+      rules.push([
+        '@font-face {',
+        `font-family:"${cssName}";`,
+        `src:url("${fontUrl}") format("woff2"),url("${fontUrl.replace('/l?', '/d?')}") format("woff");`,
+        'font-display:auto;',
+        `font-style:${fvd.startsWith('i') ? 'italic' : 'normal'};`,
+        `font-weight:${Number.parseInt(fvd.slice(1), 10) * 100};`,
+        'unicode-range:U+0000-00FF,U+0131;',
+        '}',
+      ].join(''));
+    }
+  }
+  return `/*\n * The Typekit service used to deliver this font or fonts for use on websites\n */\n${rules.join('\n')}\n`;
+}
+
 function sendJson(res, statusCode, body) {
   res.writeHead(statusCode, {
     'content-type': 'application/json',
@@ -215,6 +260,18 @@ async function startMockApi(t) {
   const server = http.createServer(async (req, res) => {
     const method = req.method || 'GET';
     const requestUrl = new URL(req.url || '/', 'http://127.0.0.1');
+    if (requestUrl.pathname.startsWith('/css/') && method === 'GET') {
+      const kitId = decodeURIComponent(requestUrl.pathname.slice('/css/'.length).replace(/\.css$/, ''));
+      const published = state.publishedKits.get(kitId);
+      if (!published) {
+        res.writeHead(404, { 'content-type': 'text/plain', connection: 'close' });
+        res.end('not found');
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'text/css', connection: 'close' });
+      res.end(kitStylesheet(published, state.cssNameSuffix));
+      return;
+    }
     if (!requestUrl.pathname.startsWith('/api')) {
       sendJson(res, 404, { error: 'not-found' });
       return;
@@ -265,11 +322,21 @@ async function startMockApi(t) {
         return;
       }
 
+      if (segments.length === 2 && method === 'DELETE') {
+        state.kits = state.kits.filter((item) => item !== kit);
+        state.publishedKits.delete(kit.id);
+        sendJson(res, 200, { ok: true });
+        return;
+      }
+
       if (segments.length === 2 && method === 'POST') {
         const domains = readFormList(form, 'domains');
         if (domains.length > 0) {
           kit.domains = domains;
         }
+        if (form.has('subset')) kit.subset = form.get('subset');
+        if (form.has('font_display')) kit.font_display = form.get('font_display');
+        if (form.has('opentype_features')) kit.opentype_features = form.get('opentype_features') === 'true';
         sendJson(res, 200, { kit: cloneKit(kit) });
         return;
       }
@@ -282,25 +349,43 @@ async function startMockApi(t) {
           return;
         }
 
-        const alreadyPresent = (kit.families || []).some((item) => {
-          const cssNames = Array.isArray(item.css_names) ? item.css_names : [];
-          return cssNames.includes(family.slug);
-        });
-        if (!alreadyPresent) {
+        const variations = readFormList(form, 'variations');
+        const existing = (kit.families || []).find((item) => item.id === family.id);
+        if (existing) {
+          if (variations.length > 0) existing.variations = variations;
+        } else {
           if (!Array.isArray(kit.families)) kit.families = [];
-          kit.families.push(toKitFamily(family));
+          kit.families.push(toKitFamily(family, variations));
+        }
+        sendJson(res, 200, { kit: cloneKit(kit) });
+        return;
+      }
+
+      if (segments.length === 4 && segments[2] === 'families' && method === 'DELETE') {
+        const family = findFamily(state, segments[3]);
+        const before = (kit.families || []).length;
+        kit.families = (kit.families || []).filter((item) => !family || item.id !== family.id);
+        if (kit.families.length === before) {
+          sendJson(res, 404, { error: 'family-not-in-kit' });
+          return;
         }
         sendJson(res, 200, { kit: cloneKit(kit) });
         return;
       }
 
       if (segments.length === 3 && segments[2] === 'publish' && method === 'POST') {
+        state.publishedKits.set(kit.id, cloneKit(kit));
         sendJson(res, 200, { kit: cloneKit(kit) });
         return;
       }
 
       if (segments.length === 3 && segments[2] === 'published' && method === 'GET') {
-        sendJson(res, 200, { kit: cloneKit(kit) });
+        const published = state.publishedKits.get(kit.id);
+        if (!published) {
+          sendJson(res, 404, { error: 'kit-not-published' });
+          return;
+        }
+        sendJson(res, 200, { kit: cloneKit(published) });
         return;
       }
     }
@@ -370,6 +455,8 @@ async function startMockApi(t) {
   const port = typeof address === 'object' && address ? address.port : 0;
   return {
     baseUrl: `http://127.0.0.1:${port}/api`,
+    cssBaseUrl: `http://127.0.0.1:${port}/css`,
+    state,
   };
 }
 
@@ -379,11 +466,14 @@ async function setupContext(t, envOverrides = {}) {
   return {
     env: {
       AFONT_API_BASE: api.baseUrl,
+      AFONT_CSS_BASE: api.cssBaseUrl,
       AFONT_CACHE_DIR: cacheDir,
+      AFONT_CONFIG_DIR: makeTempDir(t, 'afont-config-'),
       ADOBE_FONTS_API_TOKEN: TEST_TOKEN,
       ...envOverrides,
     },
     cacheDir,
+    api,
   };
 }
 
@@ -424,6 +514,19 @@ test('doctor succeeds when token and API are available', async (t) => {
   assert.equal(payload.result.checks.apiReachable, true);
 });
 
+test('doctor reports the active sqlite backend', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont(['doctor', '--json'], { env });
+  assertExitCode(run, 0);
+  const expected = hasNodeSqlite() ? 'node:sqlite' : (hasSqliteCli() ? 'sqlite3-cli' : 'none');
+  assert.equal(parseJsonOutput(run).result.checks.sqliteBackend, expected);
+
+  if (hasSqliteCli()) {
+    const forced = await runAfont(['doctor', '--json'], { env: { ...env, AFONT_SQLITE_BACKEND: 'cli' } });
+    assert.equal(parseJsonOutput(forced).result.checks.sqliteBackend, 'sqlite3-cli');
+  }
+});
+
 test('doctor fails with missing token', async (t) => {
   const { env } = await setupContext(t, { ADOBE_FONTS_API_TOKEN: '' });
   const run = await runAfont(['doctor', '--json'], { env });
@@ -455,6 +558,33 @@ test('search via API returns ranked fonts', async (t) => {
   assert.ok(Array.isArray(payload.result.snippets.cssExamples));
 });
 
+test('repeated non-list flags keep the last value', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont([
+    'search', '--query', 'zzzzqq', '--query', 'droid', '--limit', '5', '--limit', '1',
+    '--no-cache', '--confirm-uncached', '--json',
+  ], { env });
+  assertExitCode(run, 0);
+  assert.deepEqual(parseJsonOutput(run).result.fonts.map((font) => font.slug), ['droid-serif']);
+});
+
+test('search via API honors faceted filters', async (t) => {
+  const { env } = await setupContext(t);
+  const italicRun = await runAfont(['search', '--query', 'droid', '--has-italic', '--no-cache', '--confirm-uncached', '--json'], { env });
+  assertExitCode(italicRun, 0);
+  assert.deepEqual(parseJsonOutput(italicRun).result.fonts, []);
+
+  const run = await runAfont([
+    'search', '--query', 'source', '--foundry', 'adobe', '--weights', '400,700', '--has-italic', '--css-stack', 'sans-serif',
+    '--no-cache', '--confirm-uncached', '--json',
+  ], { env });
+  assertExitCode(run, 0);
+  assert.deepEqual(parseJsonOutput(run).result.fonts.map((font) => font.slug), ['source-sans-3']);
+
+  const invalidRun = await runAfont(['search', '--query', 'source', '--weights', 'heavy', '--json'], { env });
+  assertExitCode(invalidRun, 2);
+});
+
 test('search with --no-cache requires explicit confirmation when cache is missing', async (t) => {
   const { env } = await setupContext(t);
   const run = await runAfont(['search', '--query', 'droid', '--no-cache', '--json'], { env });
@@ -527,6 +657,296 @@ test('kits add-family dry-run returns action and family metadata', async (t) =>
   assert.deepEqual(payload.result.fonts[0].weights, ['400', '700']);
 });
 
+test('kits add-family rejects variations the family does not offer', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont([
+    'kits', 'add-family', '--kit', 'kit123', '--family', 'adobe-caslon-pro', '--weights', '400,600', '--dry-run', '--json',
+  ], { env });
+  assertExitCode(run, 2);
+  const payload = parseJsonOutput(run);
+  assert.match(payload.error.message, /does not offer variations: n6/);
+  assert.deepEqual(payload.error.details.available, ['n4', 'n7']);
+  assert.equal(payload.error.details.source, 'api');
+
+  const skipRun = await runAfont([
+    'kits', 'add-family', '--kit', 'kit123', '--family', 'adobe-caslon-pro', '--weights', '400,600', '--skip-unavailable', '--dry-run', '--json',
+  ], { env });
+  assertExitCode(skipRun, 0);
+  const skipPayload = parseJsonOutput(skipRun);
+  assert.deepEqual(skipPayload.result.fonts[0].variations, ['n4']);
+  assert.ok(skipPayload.result.warnings.some((warning) => warning.includes('n6')));
+});
+
+test('kits add-family and update-family reject weights outside 100-900', async (t) => {
+  const { env, api } = await setupContext(t);
+  for (const weight of ['50', '950', '1000']) {
+    const run = await runAfont(['kits', 'add-family', '--kit', 'kit123', '--family', 'source-sans-3', '--weights', weight, '--json'], { env });
+    assertExitCode(run, 2);
+    assert.equal(parseJsonOutput(run).error.message, `Invalid weight: ${weight}. Use 100-900 or 1-9.`);
+  }
+  const rangeRun = await runAfont(['kits', 'add-family', '--kit', 'kit123', '--family', 'source-sans-3:400-1000', '--json'], { env });
+  assertExitCode(rangeRun, 2);
+  const updateRun = await runAfont(['kits', 'update-family', '--kit', 'kit123', '--family', 'droid-serif', '--weights', '1000', '--json'], { env });
+  assertExitCode(updateRun, 2);
+  assert.deepEqual(findKit(api.state, 'kit123').families.map((family) => family.id), ['droid-serif']);
+});
+
+test('kits add-family --all-variations adds every catalog variation', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont([
+    'kits', 'add-family', '--kit', 'kit123', '--family', 'source-sans-3', '--all-variations', '--json',
+  ], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.deepEqual(payload.result.fonts[0].variations, ['n4', 'i4', 'n7', 'i7']);
+  assert.deepEqual(payload.result.fonts[0].weights, ['400', '700']);
+  assert.deepEqual(payload.result.fonts[0].styles, ['normal', 'italic']);
+});
+
+test('kits add-family validates variations from the local index first', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env } = await setupContext(t);
+  assertExitCode(await runAfont(['index', 'refresh', '--json'], { env }), 0);
+  const run = await runAfont([
+    'kits', 'add-family', '--kit', 'kit123', '--family', 'droid-serif', '--weights', '300', '--dry-run', '--json',
+  ], { env });
+  assertExitCode(run, 2);
+  assert.equal(parseJsonOutput(run).error.details.source, 'cache');
+});
+
+test('kits add-family adds multiple family specs in one run', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont([
+    'kits', 'add-family', '--kit', 'marketing-site',
+    '--family', 'adobe-caslon-pro:400,700:normal',
+    '--family', 'source-sans-3:300-700',
+    '--styles', 'normal,italic',
+    '--json',
+  ], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.deepEqual(payload.result.additions, [
+    { family: 'adobe-caslon-pro', ok: true, variations: ['n4', 'n7'] },
+    { family: 'source-sans-3', ok: true, variations: ['n4', 'i4', 'n7', 'i7'] },
+  ]);
+  assert.deepEqual(payload.result.fonts[1].weights, ['400', '700']);
+
+  const showRun = await runAfont(['kits', 'show', '--kit', 'kit123', '--json'], { env });
+  assert.deepEqual(parseJsonOutput(showRun).result.families.map((family) => family.slug), ['droid-serif', 'adobe-caslon-pro', 'source-sans-3']);
+});
+
+test('kits add-family reports per-family failures from a families file', async (t) => {
+  const { env } = await setupContext(t);
+  const dir = makeTempDir(t, 'afont-families-');
+  const file = path.join(dir, 'families.txt');
+  fs.writeFileSync(file, '# heading + body\nadobe-caslon-pro:600\nsource-sans-3:400\nmissing-family\n');
+
+  const run = await runAfont(['kits', 'add-family', '--kit', 'kit123', '--families-file', file, '--dry-run', '--json'], { env });
+  assertExitCode(run, 1);
+  const payload = parseJsonOutput(run);
+  assert.deepEqual(payload.result.additions.map((addition) => [addition.family, addition.ok]), [
+    ['adobe-caslon-pro', false],
+    ['source-sans-3', true],
+    ['missing-family', true],
+  ]);
+  assert.match(payload.result.additions[0].error, /does not offer variations: n6/);
+  assert.ok(payload.result.warnings.some((warning) => warning.includes('1 of 3 families failed')));
+});
+
+test('kits remove-family deletes a family from the kit', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont(['kits', 'remove-family', '--kit', 'marketing-site', '--family', 'droid-serif', '--json'], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.equal(payload.result.intent, 'kit_update');
+  assert.equal(payload.result.action, 'remove-family');
+  assert.equal(payload.result.dryRun, false);
+
+  const embedRun = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--json'], { env });
+  assertExitCode(embedRun, 0);
+  assert.deepEqual(parseJsonOutput(embedRun).result.snippets.cssExamples, []);
+});
+
+test('kits remove-family fails when family is not in kit', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont(['kits', 'remove-family', '--kit', 'marketing-site', '--family', 'source-sans-3', '--dry-run', '--json'], { env });
+  assertExitCode(run, 3);
+  const payload = parseJsonOutput(run);
+  assert.match(payload.error.message, /not in kit kit123/);
+});
+
+test('kits update-family replaces variations of an existing family', async (t) => {
+  const { env } = await setupContext(t);
+  const dryRun = await runAfont([
+    'kits', 'update-family', '--kit', 'kit123', '--family', 'droid-serif', '--weights', '7', '--dry-run', '--json',
+  ], { env });
+  assertExitCode(dryRun, 0);
+  const dryPayload = parseJsonOutput(dryRun);
+  assert.equal(dryPayload.result.action, 'update-family');
+  assert.equal(dryPayload.result.dryRun, true);
+
+  const run = await runAfont([
+    'kits', 'update-family', '--kit', 'kit123', '--family', 'droid-serif', '--weights', '700', '--json',
+  ], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.equal(payload.result.action, 'update-family');
+  assert.deepEqual(payload.result.fonts[0].variations, ['n7']);
+
+  const invalid = await runAfont([
+    'kits', 'update-family', '--kit', 'kit123', '--family', 'droid-serif', '--weights', '7', '--styles', 'italic', '--json',
+  ], { env });
+  assertExitCode(invalid, 2);
+});
+
+function writeKitManifest(t, manifest) {
+  const dir = makeTempDir(t, 'afont-manifest-');
+  const file = path.join(dir, 'afont.kit.json');
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+  return file;
+}
+
+test('kits apply dry-run prints reconcile plan without mutating', async (t) => {
+  const { env } = await setupContext(t);
+  const file = writeKitManifest(t, {
+    name: 'marketing-site',
+    domains: ['example.com', 'www.example.com'],
+    families: [{ family: 'source-sans-3', variations: ['n4', 'i4'] }],
+  });
+  const run = await runAfont(['kits', 'apply', '--file', file, '--dry-run', '--json'], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.equal(payload.result.action, 'apply');
+  assert.equal(payload.result.dryRun, true);
+  assert.deepEqual(payload.result.plan.map((step) => step.action), ['update-domains', 'add-family', 'remove-family']);
+  assert.ok(payload.result.plan.every((step) => step.status === 'planned'));
+
+  const textRun = await runAfont(['kits', 'apply', '--file', file, '--dry-run'], { env });
+  assertExitCode(textRun, 0);
+  assert.match(textRun.stdout, /^- add-family source-sans-3 \(n4,i4\) \[planned\]$/m);
+
+  const embedRun = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--json'], { env });
+  assert.deepEqual(parseJsonOutput(embedRun).result.kit.domains, ['example.com']);
+});
+
+test('kits apply ignores families when the manifest omits them and gates removals on --confirm', async (t) => {
+  const { env, api } = await setupContext(t);
+  const domainsOnly = writeKitManifest(t, { name: 'marketing-site', domains: ['example.com', 'www.example.com'] });
+  const domainsRun = await runAfont(['kits', 'apply', '--file', domainsOnly, '--json'], { env });
+  assertExitCode(domainsRun, 0);
+  assert.deepEqual(parseJsonOutput(domainsRun).result.plan.map((step) => step.action), ['update-domains']);
+  assert.equal(findKit(api.state, 'kit123').families.length, 1);
+
+  const file = writeKitManifest(t, { name: 'marketing-site', families: ['source-sans-3'] });
+  const dryRun = await runAfont(['kits', 'apply', '--file', file, '--publish', '--dry-run', '--json'], { env });
+  assertExitCode(dryRun, 0);
+  assert.ok(parseJsonOutput(dryRun).result.warnings.some((warning) => warning.includes('requires --confirm')));
+
+  const refused = await runAfont(['kits', 'apply', '--file', file, '--publish', '--json'], { env });
+  assertExitCode(refused, 2);
+  assert.match(parseJsonOutput(refused).error.message, /removes families from the live kit: droid-serif/);
+  assert.deepEqual(findKit(api.state, 'kit123').families.map((family) => family.id), ['droid-serif']);
+
+  const confirmed = await runAfont(['kits', 'apply', '--file', file, '--publish', '--confirm', '--json'], { env });
+  assertExitCode(confirmed, 0);
+  assert.deepEqual(parseJsonOutput(confirmed).result.plan.map((step) => step.action), ['add-family', 'remove-family', 'publish']);
+});
+
+test('kits apply creates a missing kit and publishes on request', async (t) => {
+  const { env } = await setupContext(t);
+  const file = writeKitManifest(t, {
+    name: 'docs-site',
+    domains: ['docs.example.com'],
+    families: ['droid-serif', { family: 'adobe-caslon-pro', weights: ['4', '7'], styles: ['normal'] }],
+  });
+  const run = await runAfont(['kits', 'apply', '--file', file, '--publish', '--json'], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.deepEqual(payload.result.plan.map((step) => step.action), ['create-kit', 'add-family', 'add-family', 'publish']);
+  assert.ok(payload.result.plan.every((step) => step.status === 'applied'));
+  assert.equal(payload.result.kit.name, 'docs-site');
+  assert.deepEqual(payload.result.kit.domains, ['docs.example.com']);
+
+  const rerun = await runAfont(['kits', 'apply', '--file', file, '--dry-run', '--json'], { env });
+  assertExitCode(rerun, 0);
+  assert.deepEqual(parseJsonOutput(rerun).result.plan, []);
+});
+
+test('kits lock writes lockfile and verify-lock detects drift', async (t) => {
+  const { env } = await setupContext(t);
+  const dir = makeTempDir(t, 'afont-lock-');
+  const file = path.join(dir, 'afont.lock.json');
+
+  const lockRun = await runAfont(['kits', 'lock', '--kit', 'marketing-site', '--file', file, '--json'], { env });
+  assertExitCode(lockRun, 0);
+  const lockPayload = parseJsonOutput(lockRun);
+  assert.equal(lockPayload.result.intent, 'kit_lock');
+  assert.match(lockPayload.result.lock.hash, /^sha256-[a-f0-9]{64}$/);
+
+  const lock = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(lock.kit.id, 'kit123');
+  assert.deepEqual(lock.families.map((f) => [f.slug, f.cssNames, f.variations]), [['droid-serif', ['droid-serif'], ['n4', 'n7']]]);
+
+  const cleanRun = await runAfont(['kits', 'verify-lock', '--file', file, '--json'], { env });
+  assertExitCode(cleanRun, 0);
+  assert.equal(parseJsonOutput(cleanRun).result.lock.drift, false);
+
+  const cloneRun = await runAfont(['kits', 'clone', '--from', 'kit123', '--name', 'staging', '--domains', 'staging.example.com', '--json'], { env });
+  assertExitCode(cloneRun, 0);
+  const cloneVerify = await runAfont(['kits', 'verify-lock', '--file', file, '--kit', parseJsonOutput(cloneRun).result.kit.id, '--json'], { env });
+  assertExitCode(cloneVerify, 0);
+  assert.equal(parseJsonOutput(cloneVerify).result.lock.drift, false);
+
+  const tampered = path.join(dir, 'tampered.lock.json');
+  fs.writeFileSync(tampered, JSON.stringify({ ...lock, families: [{ ...lock.families[0], variations: ['n4'] }] }));
+  const tamperedRun = await runAfont(['kits', 'verify-lock', '--file', tampered, '--json'], { env });
+  assertExitCode(tamperedRun, 2);
+  assert.match(parseJsonOutput(tamperedRun).error.message, /does not match its recorded hash/);
+
+  const addRun = await runAfont(['kits', 'add-family', '--kit', 'kit123', '--family', 'source-sans-3', '--json'], { env });
+  assertExitCode(addRun, 0);
+  const updateRun = await runAfont(['kits', 'update-family', '--kit', 'kit123', '--family', 'droid-serif', '--weights', '4', '--json'], { env });
+  assertExitCode(updateRun, 0);
+
+  const driftRun = await runAfont(['kits', 'verify-lock', '--file', file, '--json'], { env });
+  assertExitCode(driftRun, 1);
+  const driftPayload = parseJsonOutput(driftRun);
+  assert.equal(driftPayload.result.lock.drift, true);
+  assert.deepEqual(driftPayload.result.diff.families.added, ['source-sans-3']);
+  assert.deepEqual(driftPayload.result.diff.families.changed, [{ family: 'droid-serif', added: [], removed: ['n7'] }]);
+});
+
+test('kits show decodes variations and reports unpublished draft changes', async (t) => {
+  const { env } = await setupContext(t);
+  const cleanRun = await runAfont(['kits', 'show', '--kit', 'marketing-site', '--json'], { env });
+  assertExitCode(cleanRun, 0);
+  const cleanPayload = parseJsonOutput(cleanRun);
+  assert.equal(cleanPayload.result.intent, 'kit_show');
+  assert.equal(cleanPayload.result.published.draftDiffers, false);
+  assert.deepEqual(cleanPayload.result.settings, { subset: 'default', fontDisplay: 'auto', openTypeFeatures: true });
+  const [family] = cleanPayload.result.families;
+  assert.equal(family.slug, 'droid-serif');
+  assert.deepEqual(family.cssNames, ['droid-serif']);
+  assert.deepEqual(family.variations, [
+    { fvd: 'n4', weight: '400', style: 'normal' },
+    { fvd: 'n7', weight: '700', style: 'normal' },
+  ]);
+
+  const addRun = await runAfont(['kits', 'add-family', '--kit', 'kit123', '--family', 'source-sans-3', '--json'], { env });
+  assertExitCode(addRun, 0);
+
+  const dirtyRun = await runAfont(['kits', 'show', '--kit', 'kit123', '--json'], { env });
+  assertExitCode(dirtyRun, 0);
+  const dirtyPayload = parseJsonOutput(dirtyRun);
+  assert.equal(dirtyPayload.result.published.draftDiffers, true);
+  assert.deepEqual(dirtyPayload.result.diff.families.added, ['source-sans-3']);
+  assert.equal(dirtyPayload.result.families.length, 2);
+});
+
 test('kits publish dry-run returns publish action', async (t) => {
   const { env } = await setupContext(t);
   const run = await runAfont(['kits', 'publish', '--kit', 'marketing-site', '--dry-run', '--json'], { env });
@@ -536,6 +956,214 @@ test('kits publish dry-run returns publish action', async (t) => {
   assert.equal(payload.result.dryRun, true);
 });
 
+test('kits publish includes draft vs published diff', async (t) => {
+  const { env } = await setupContext(t);
+  const addRun = await runAfont(['kits', 'add-family', '--kit', 'kit123', '--family', 'source-sans-3', '--json'], { env });
+  assertExitCode(addRun, 0);
+
+  const run = await runAfont(['kits', 'publish', '--kit', 'kit123', '--json'], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.equal(payload.result.action, 'publish');
+  assert.equal(payload.result.diff.changed, true);
+  assert.deepEqual(payload.result.diff.families.added, ['source-sans-3']);
+  assert.deepEqual(payload.result.diff.families.removed, []);
+});
+
+test('kits publish --require-changes refuses identical kit', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont(['kits', 'publish', '--kit', 'kit123', '--require-changes', '--json'], { env });
+  assertExitCode(run, 2);
+  const payload = parseJsonOutput(run);
+  assert.match(payload.error.message, /no unpublished changes/);
+  assert.equal(payload.error.details.diff.changed, false);
+});
+
+test('kits publish requires --confirm when families are removed', async (t) => {
+  const { env } = await setupContext(t);
+  const removeRun = await runAfont(['kits', 'remove-family', '--kit', 'kit123', '--family', 'droid-serif', '--json'], { env });
+  assertExitCode(removeRun, 0);
+
+  const dryRun = await runAfont(['kits', 'publish', '--kit', 'kit123', '--dry-run', '--json'], { env });
+  assertExitCode(dryRun, 0);
+  assert.ok(parseJsonOutput(dryRun).result.warnings.some((warning) => warning.includes('requires --confirm')));
+
+  const refused = await runAfont(['kits', 'publish', '--kit', 'kit123', '--json'], { env });
+  assertExitCode(refused, 2);
+  assert.match(parseJsonOutput(refused).error.message, /removes families from the live kit: droid-serif/);
+
+  const confirmed = await runAfont(['kits', 'publish', '--kit', 'kit123', '--confirm', '--json'], { env });
+  assertExitCode(confirmed, 0);
+  assert.deepEqual(parseJsonOutput(confirmed).result.diff.families.removed, ['droid-serif']);
+});
+
+test('kits publish records history and rollback restores a snapshot', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env } = await setupContext(t);
+  assertExitCode(await runAfont(['kits', 'publish', '--kit', 'kit123', '--json'], { env }), 0);
+  assertExitCode(await runAfont(['kits', 'add-family', '--kit', 'kit123', '--family', 'source-sans-3', '--json'], { env }), 0);
+  assertExitCode(await runAfont(['kits', 'publish', '--kit', 'kit123', '--json'], { env }), 0);
+
+  const historyRun = await runAfont(['kits', 'history', '--kit', 'marketing-site', '--json'], { env });
+  assertExitCode(historyRun, 0);
+  const history = parseJsonOutput(historyRun).result;
+  assert.equal(history.intent, 'kit_history');
+  assert.deepEqual(history.snapshots.map((snapshot) => snapshot.familyCount), [2, 1]);
+  const oldest = history.snapshots[1];
+
+  const dryRun = await runAfont(['kits', 'rollback', '--kit', 'kit123', '--to', String(oldest.id), '--dry-run', '--json'], { env });
+  assertExitCode(dryRun, 0);
+  const dryPayload = parseJsonOutput(dryRun);
+  assert.equal(dryPayload.result.action, 'rollback');
+  assert.deepEqual(dryPayload.result.plan.map((step) => `${step.action}:${step.family || ''}`), ['remove-family:source-sans-3', 'publish:']);
+
+  assert.ok(dryPayload.result.warnings.some((warning) => warning.includes('requires --confirm')));
+
+  const refused = await runAfont(['kits', 'rollback', '--kit', 'kit123', '--to', String(oldest.id), '--json'], { env });
+  assertExitCode(refused, 2);
+  assert.match(parseJsonOutput(refused).error.message, /removes families from the live kit: source-sans-3/);
+
+  const rollbackRun = await runAfont(['kits', 'rollback', '--kit', 'kit123', '--to', String(oldest.id), '--confirm', '--json'], { env });
+  assertExitCode(rollbackRun, 0);
+  assert.ok(parseJsonOutput(rollbackRun).result.plan.every((step) => step.status === 'applied'));
+
+  const showRun = await runAfont(['kits', 'show', '--kit', 'kit123', '--json'], { env });
+  const shown = parseJsonOutput(showRun).result;
+  assert.deepEqual(shown.families.map((family) => family.slug), ['droid-serif']);
+  assert.equal(shown.published.draftDiffers, false);
+
+  const afterRun = await runAfont(['kits', 'history', '--kit', 'kit123', '--json'], { env });
+  assert.equal(parseJsonOutput(afterRun).result.snapshots.length, 3);
+});
+
+test('kits rollback rejects unknown snapshot', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env } = await setupContext(t);
+  const run = await runAfont(['kits', 'rollback', '--kit', 'kit123', '--to', '99', '--json'], { env });
+  assertExitCode(run, 3);
+  assert.match(parseJsonOutput(run).error.message, /Could not find kit snapshot: 99/);
+});
+
+test('kits clone copies families and variations into a new kit', async (t) => {
+  const { env } = await setupContext(t);
+  assertExitCode(await runAfont(['kits', 'update-family', '--kit', 'kit123', '--family', 'droid-serif', '--weights', '7', '--json'], { env }), 0);
+
+  const dryRun = await runAfont(['kits', 'clone', '--from', 'marketing-site', '--name', 'marketing-staging', '--domains', 'staging.example.com', '--dry-run', '--json'], { env });
+  assertExitCode(dryRun, 0);
+  const dryPayload = parseJsonOutput(dryRun);
+  assert.equal(dryPayload.result.action, 'clone');
+  assert.deepEqual(dryPayload.result.plan.map((step) => step.action), ['create-kit', 'add-family']);
+
+  const run = await runAfont(['kits', 'clone', '--from', 'marketing-site', '--name', 'marketing-staging', '--domains', 'staging.example.com', '--publish', '--json'], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.equal(payload.result.source.id, 'kit123');
+  assert.equal(payload.result.kit.name, 'marketing-staging');
+  assert.deepEqual(payload.result.kit.domains, ['staging.example.com']);
+  assert.ok(payload.result.plan.every((step) => step.status === 'applied'));
+
+  const showRun = await runAfont(['kits', 'show', '--kit', 'marketing-staging', '--json'], { env });
+  const shown = parseJsonOutput(showRun).result;
+  assert.deepEqual(shown.families[0].variations.map((v) => v.fvd), ['n7']);
+  assert.equal(shown.published.exists, true);
+
+  const duplicate = await runAfont(['kits', 'clone', '--from', 'kit123', '--name', 'marketing-staging', '--domains', 'staging.example.com', '--json'], { env });
+  assertExitCode(duplicate, 2);
+  assert.match(parseJsonOutput(duplicate).error.message, /already exists/);
+
+  const noDomains = await runAfont(['kits', 'clone', '--from', 'kit123', '--name', 'marketing-preview', '--json'], { env: { ...env, ADOBE_FONTS_DEFAULT_DOMAINS: 'example.com' } });
+  assertExitCode(noDomains, 2);
+  assert.match(parseJsonOutput(noDomains).error.message, /Missing --domains for kits clone/);
+});
+
+test('kits delete refuses without --yes', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont(['kits', 'delete', '--kit', 'marketing-site', '--json'], { env });
+  assertExitCode(run, 2);
+  assert.match(parseJsonOutput(run).error.message, /Refusing to delete kit kit123/);
+
+  const dryRun = await runAfont(['kits', 'delete', '--kit', 'marketing-site', '--dry-run', '--json'], { env });
+  assertExitCode(dryRun, 0);
+  const dryPayload = parseJsonOutput(dryRun);
+  assert.equal(dryPayload.result.action, 'delete');
+  assert.equal(dryPayload.result.backup.file, '');
+
+  const listRun = await runAfont(['kits', 'list', '--json'], { env });
+  assert.ok(parseJsonOutput(listRun).result.kits.some((kit) => kit.id === 'kit123'));
+});
+
+test('kits delete writes a backup that kits restore recreates', async (t) => {
+  const { env, cacheDir } = await setupContext(t);
+  const run = await runAfont(['kits', 'delete', '--kit', 'marketing-site', '--yes', '--json'], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  const backupFile = payload.result.backup.file;
+  assert.ok(backupFile.startsWith(path.join(cacheDir, 'backups')));
+  const backup = JSON.parse(fs.readFileSync(backupFile, 'utf8'));
+  assert.equal(backup.kit.id, 'kit123');
+
+  const listRun = await runAfont(['kits', 'list', '--json'], { env });
+  assert.equal(parseJsonOutput(listRun).result.kits.length, 0);
+
+  const restoreRun = await runAfont(['kits', 'restore', '--file', backupFile, '--json'], { env });
+  assertExitCode(restoreRun, 0);
+  const restored = parseJsonOutput(restoreRun).result;
+  assert.equal(restored.action, 'restore');
+  assert.equal(restored.kit.name, 'marketing-site');
+  assert.deepEqual(restored.kit.domains, ['example.com']);
+  assert.ok(restored.warnings.some((warning) => warning.includes('new ID')));
+
+  const showRun = await runAfont(['kits', 'show', '--kit', 'marketing-site', '--json'], { env });
+  assert.deepEqual(parseJsonOutput(showRun).result.families.map((family) => family.slug), ['droid-serif']);
+});
+
+test('kits domains add merges and validates hostnames', async (t) => {
+  const { env } = await setupContext(t);
+  const listRun = await runAfont(['kits', 'domains', 'list', '--kit', 'marketing-site', '--json'], { env });
+  assertExitCode(listRun, 0);
+  assert.deepEqual(parseJsonOutput(listRun).result.domains.after, ['example.com']);
+
+  const invalid = await runAfont(['kits', 'domains', 'add', '--kit', 'kit123', '--domain', 'https://bad host', '--json'], { env });
+  assertExitCode(invalid, 2);
+  assert.match(parseJsonOutput(invalid).error.message, /Invalid domain/);
+
+  const run = await runAfont([
+    'kits', 'domains', 'add', '--kit', 'kit123', '--domain', '*.Example.com', '--domain', 'localhost:3000,example.com', '--json',
+  ], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.equal(payload.result.action, 'domains-add');
+  assert.deepEqual(payload.result.domains.added, ['*.example.com', 'localhost:3000']);
+  assert.deepEqual(payload.result.kit.domains, ['example.com', '*.example.com', 'localhost:3000']);
+  assert.ok(payload.result.warnings.some((warning) => warning.includes('Already in kit: example.com')));
+});
+
+test('kits domains remove refuses to empty the list, even with --force', async (t) => {
+  const { env } = await setupContext(t);
+  const refused = await runAfont(['kits', 'domains', 'remove', '--kit', 'kit123', '--domain', 'example.com', '--json'], { env });
+  assertExitCode(refused, 2);
+  assert.match(parseJsonOutput(refused).error.message, /Refusing to remove every domain/);
+
+  const forced = await runAfont(['kits', 'domains', 'remove', '--kit', 'kit123', '--domain', 'example.com', '--force', '--json'], { env });
+  assertExitCode(forced, 2);
+  assert.match(parseJsonOutput(forced).error.message, /--force cannot remove every domain from kit kit123/);
+
+  assertExitCode(await runAfont(['kits', 'domains', 'add', '--kit', 'kit123', '--domain', 'www.example.com', '--json'], { env }), 0);
+  const run = await runAfont(['kits', 'domains', 'remove', '--kit', 'kit123', '--domain', 'example.com', '--json'], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.deepEqual(payload.result.domains.removed, ['example.com']);
+  assert.deepEqual(payload.result.kit.domains, ['www.example.com']);
+});
+
 test('kits embed returns link tag and css examples', async (t) => {
   const { env } = await setupContext(t);
   const run = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--json'], { env });
@@ -546,6 +1174,376 @@ test('kits embed returns link tag and css examples', async (t) => {
   assert.ok(payload.result.snippets.cssExamples.length > 0);
 });
 
+test('kits embed --format returns framework snippets with preconnect hints', async (t) => {
+  const { env } = await setupContext(t);
+  const expectations = {
+    next: /crossOrigin="anonymous" \/>[\s\S]*<link rel="stylesheet" href="https:\/\/use\.typekit\.net\/kit123\.css" \/>/,
+    astro: /^---\n\/\/ src\/layouts\/Layout\.astro/,
+    vite: /<link rel="preconnect" href="https:\/\/p\.typekit\.net" crossorigin>/,
+    'css-import': /^@import url\("https:\/\/use\.typekit\.net\/kit123\.css"\);$/,
+    'js-loader': /kitId: 'kit123'[\s\S]*Typekit\.load\(config\)/,
+  };
+  for (const [format, pattern] of Object.entries(expectations)) {
+    const run = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--format', format, '--json'], { env });
+    assertExitCode(run, 0);
+    const { snippets } = parseJsonOutput(run).result;
+    assert.equal(snippets.format, format);
+    assert.match(snippets.code, pattern);
+    assert.deepEqual(snippets.preconnectTags, [
+      '<link rel="preconnect" href="https://use.typekit.net" crossorigin>',
+      '<link rel="preconnect" href="https://p.typekit.net" crossorigin>',
+    ]);
+  }
+
+  const invalid = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--format', 'svelte', '--json'], { env });
+  assertExitCode(invalid, 2);
+  assert.match(parseJsonOutput(invalid).error.message, /Unknown --format: svelte/);
+});
+
+test('kits embed --resolve-css reports real font-family names from the stylesheet', async (t) => {
+  const { env, api } = await setupContext(t);
+  api.state.cssNameSuffix = '-1';
+  const run = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--resolve-css', '--json'], { env });
+  assertExitCode(run, 0);
+  const { result } = parseJsonOutput(run);
+  assert.equal(result.stylesheet.url, `${api.cssBaseUrl}/kit123.css`);
+  assert.ok(result.stylesheet.bytes > 0);
+  const [family] = result.stylesheet.families;
+  assert.equal(family.family, 'droid-serif');
+  assert.equal(family.guessedCssName, 'droid-serif');
+  assert.equal(family.cssName, 'droid-serif-1');
+  assert.deepEqual(family.faces, [
+    { weight: '400', style: 'normal', unicodeRange: 'U+0000-00FF,U+0131' },
+    { weight: '700', style: 'normal', unicodeRange: 'U+0000-00FF,U+0131' },
+  ]);
+  assert.deepEqual(result.snippets.resolvedCssExamples, ['font-family: "droid-serif-1", serif;']);
+  assert.ok(result.warnings.some((warning) => warning.includes('declares "droid-serif-1"')));
+});
+
+test('kits embed --resolve-css does not match a family to a longer name sharing its prefix', async (t) => {
+  const { env, api } = await setupContext(t);
+  const sourceSans3 = toKitFamily(findFamily(api.state, 'source-sans-3'));
+  const sourceSans = { ...sourceSans3, id: 'source-sans', slug: 'source-sans', name: 'Source Sans', css_names: ['source-sans'] };
+  api.state.kits[0].families = [sourceSans, sourceSans3];
+  api.state.publishedKits.set('kit123', { ...api.state.publishedKits.get('kit123'), families: [sourceSans3] });
+
+  for (const [suffix, expected] of [['', 'source-sans-3'], ['-1', 'source-sans-3-1']]) {
+    api.state.cssNameSuffix = suffix;
+    const run = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--resolve-css', '--json'], { env });
+    assertExitCode(run, 0);
+    const { result } = parseJsonOutput(run);
+    assert.deepEqual(result.stylesheet.families.map((family) => [family.family, family.cssName]), [
+      ['source-sans', ''],
+      ['source-sans-3', expected],
+    ]);
+    assert.ok(result.warnings.some((warning) => warning.startsWith('No @font-face rules found for source-sans ')));
+  }
+});
+
+test('kits embed --resolve-css warns when the stylesheet is unavailable', async (t) => {
+  const { env } = await setupContext(t);
+  const run = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--resolve-css', '--css-base', 'http://127.0.0.1:9/missing', '--json'], { env });
+  assertExitCode(run, 0);
+  const { result } = parseJsonOutput(run);
+  assert.equal(result.stylesheet, undefined);
+  assert.ok(result.warnings.some((warning) => warning.startsWith('Could not resolve CSS names')));
+});
+
+test('kits settings reads, validates and updates subset, font-display and OpenType features', async (t) => {
+  const { env, api } = await setupContext(t);
+  const readRun = await runAfont(['kits', 'settings', '--kit', 'marketing-site', '--json'], { env });
+  assertExitCode(readRun, 0);
+  assert.equal(parseJsonOutput(readRun).result.intent, 'kit_settings');
+  assert.deepEqual(parseJsonOutput(readRun).result.settings, { subset: 'default', fontDisplay: 'auto', openTypeFeatures: true });
+
+  const invalidRun = await runAfont(['kits', 'settings', '--kit', 'marketing-site', '--font-display', 'instant', '--json'], { env });
+  assertExitCode(invalidRun, 2);
+  const invalidFeatures = await runAfont(['kits', 'settings', '--kit', 'marketing-site', '--opentype-features', 'maybe', '--json'], { env });
+  assertExitCode(invalidFeatures, 2);
+
+  const featuresDryRun = await runAfont(['kits', 'settings', '--kit', 'marketing-site', '--opentype-features', 'off', '--dry-run', '--json'], { env });
+  assertExitCode(featuresDryRun, 0);
+  assert.deepEqual(parseJsonOutput(featuresDryRun).result.changes, [{ setting: 'openTypeFeatures', before: true, after: false }]);
+  assert.equal(findKit(api.state, 'kit123').opentype_features, undefined);
+
+  const dryRun = await runAfont(['kits', 'settings', '--kit', 'marketing-site', '--font-display', 'swap', '--dry-run', '--json'], { env });
+  assertExitCode(dryRun, 0);
+  assert.deepEqual(parseJsonOutput(dryRun).result.changes, [{ setting: 'fontDisplay', before: 'auto', after: 'swap' }]);
+  const unchanged = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--json'], { env });
+  assert.equal(parseJsonOutput(unchanged).result.settings.fontDisplay, 'auto');
+
+  const run = await runAfont([
+    'kits', 'settings', '--kit', 'marketing-site', '--font-display', 'swap', '--subset', 'all', '--opentype-features', 'off', '--json',
+  ], { env });
+  assertExitCode(run, 0);
+  const payload = parseJsonOutput(run);
+  assert.equal(payload.result.action, 'settings');
+  assert.deepEqual(payload.result.settings, { subset: 'all', fontDisplay: 'swap', openTypeFeatures: false });
+
+  const embedRun = await runAfont(['kits', 'embed', '--kit', 'marketing-site', '--json'], { env });
+  assert.deepEqual(parseJsonOutput(embedRun).result.settings, { subset: 'all', fontDisplay: 'swap', openTypeFeatures: false });
+});
+
+test('kits export renders design tokens, tailwind and css variables', async (t) => {
+  const { env, api } = await setupContext(t);
+  const tokensRun = await runAfont(['kits', 'export', '--kit', 'marketing-site', '--format', 'tokens', '--json'], { env });
+  assertExitCode(tokensRun, 0);
+  const tokensPayload = parseJsonOutput(tokensRun);
+  assert.equal(tokensPayload.result.intent, 'kit_export');
+  const tokens = JSON.parse(tokensPayload.result.export.content);
+  assert.deepEqual(tokens.font.family['droid-serif'], { $type: 'fontFamily', $value: ['droid-serif', 'serif'] });
+  assert.deepEqual(Object.keys(tokens.font.weight['droid-serif']), ['400', '700']);
+
+  const dir = makeTempDir(t, 'afont-export-');
+  const file = path.join(dir, 'tailwind.fonts.js');
+  const tailwindRun = await runAfont(['kits', 'export', '--kit', 'marketing-site', '--format', 'tailwind', '--output', file, '--json'], { env });
+  assertExitCode(tailwindRun, 0);
+  assert.equal(parseJsonOutput(tailwindRun).result.export.file, file);
+  assert.match(fs.readFileSync(file, 'utf8'), /"droid-serif": \["droid-serif","serif"\]/);
+
+  api.state.cssNameSuffix = '-1';
+  const cssRun = await runAfont(['kits', 'export', '--kit', 'marketing-site', '--format', 'css-vars', '--resolve-css'], { env });
+  assertExitCode(cssRun, 0);
+  assert.match(cssRun.stdout, /--font-droid-serif: "droid-serif-1", serif;/);
+  assert.match(cssRun.stdout, /--font-droid-serif-weight-700: 700;/);
+  assert.doesNotMatch(cssRun.stdout, /Warning:/);
+  assert.match(cssRun.stderr, /^Warning: Stylesheet declares "droid-serif-1" for droid-serif/m);
+
+  const invalidRun = await runAfont(['kits', 'export', '--kit', 'marketing-site', '--format', 'yaml', '--json'], { env });
+  assertExitCode(invalidRun, 2);
+});
+
+test('audit compares project font usage with the kit', async (t) => {
+  const { env } = await setupContext(t);
+  const addRun = await runAfont(['kits', 'add-family', '--kit', 'marketing-site', '--family', 'source-sans-3', '--json'], { env });
+  assertExitCode(addRun, 0);
+
+  const src = makeTempDir(t, 'afont-audit-');
+  fs.mkdirSync(path.join(src, 'components'));
+  fs.writeFileSync(path.join(src, 'styles.css'), [
+    '@font-face { font-family: "Local Icons"; src: url(icons.woff2); }',
+    'h1 { font-family: "droid-serif-1", serif; font-weight: 700; }',
+    'em { font-family: droid-serif, serif; font-weight: 400; font-style: italic; }',
+    '.mono { font-family: "Fira Code", monospace; }',
+    '.icon { font-family: "Local Icons"; }',
+    '.lede { font-family: droid-serif, serif; font-weight: 350; }',
+    '.strong { font-family: droid-serif, serif; font-weight: 650; }',
+    '',
+  ].join('\n'));
+  fs.writeFileSync(path.join(src, 'components', 'Title.tsx'), [
+    'export const Title = () => (',
+    '  <h2 style={{ fontFamily: \'"droid-serif", serif\', fontWeight: 300 }}>Hi</h2>',
+    ');',
+    '',
+  ].join('\n'));
+
+  const run = await runAfont(['audit', '--kit', 'marketing-site', '--path', src, '--json'], { env });
+  assertExitCode(run, 0);
+  const { result } = parseJsonOutput(run);
+  assert.equal(result.intent, 'audit');
+  assert.equal(result.audit.filesScanned, 2);
+  assert.deepEqual(result.audit.missingFamilies, [{ family: 'Fira Code', occurrences: [{ file: 'styles.css', line: 4 }] }]);
+  assert.deepEqual(result.audit.unusedFamilies, ['source-sans-3']);
+  assert.deepEqual(
+    result.audit.missingVariations.map((variation) => [variation.fvd, variation.occurrences[0].file]),
+    [['n3', path.join('components', 'Title.tsx')], ['i4', 'styles.css']],
+  );
+
+  const strictRun = await runAfont(['audit', '--kit', 'marketing-site', '--path', src, '--strict', '--json'], { env });
+  assertExitCode(strictRun, 1);
+  assert.equal(parseJsonOutput(strictRun).result.strict, true);
+});
+
+test('kits budget measures mirrored fonts and fails when over budget', async (t) => {
+  const { env } = await setupContext(t);
+  const mirror = makeTempDir(t, 'afont-mirror-');
+  fs.mkdirSync(path.join(mirror, 'droid-serif'));
+  fs.writeFileSync(path.join(mirror, 'droid-serif', 'n4.woff2'), Buffer.alloc(10 * 1024));
+  fs.writeFileSync(path.join(mirror, 'droid-serif', 'n4.woff'), Buffer.alloc(15 * 1024));
+
+  const run = await runAfont(['kits', 'budget', '--kit', 'marketing-site', '--max-variations', '4', '--max-kb', '100', '--mirror', mirror, '--json'], { env });
+  assertExitCode(run, 0);
+  const { budget } = parseJsonOutput(run).result;
+  assert.equal(budget.families, 1);
+  assert.equal(budget.variations, 2);
+  assert.equal(budget.measuredVariations, 1);
+  assert.equal(budget.estimatedVariations, 1);
+  assert.equal(budget.fontBytes, 40 * 1024);
+  assert.ok(budget.cssBytes > 0);
+  assert.equal(budget.overBudget, false);
+
+  const overRun = await runAfont(['kits', 'budget', '--kit', 'marketing-site', '--max-variations', '1', '--json'], { env });
+  assertExitCode(overRun, 1);
+  assert.deepEqual(parseJsonOutput(overRun).result.budget.violations, ['2 variations exceed the budget of 1.']);
+});
+
+test('kits add-family warns when the configured budget is exceeded', async (t) => {
+  const { env } = await setupContext(t, { AFONT_BUDGET_MAX_VARIATIONS: '3' });
+  const run = await runAfont(['kits', 'add-family', '--kit', 'marketing-site', '--family', 'source-sans-3', '--dry-run', '--json'], { env });
+  assertExitCode(run, 0);
+  const { result } = parseJsonOutput(run);
+  assert.ok(result.warnings.includes('Over budget after this addition: 6 variations exceed the budget of 3.'));
+
+  const overEnv = { ...env, AFONT_BUDGET_MAX_VARIATIONS: '1' };
+  const overRun = await runAfont(['kits', 'add-family', '--kit', 'marketing-site', '--family', 'source-sans-3', '--dry-run', '--json'], { env: overEnv });
+  assertExitCode(overRun, 0);
+  assert.deepEqual(parseJsonOutput(overRun).result.warnings, [
+    'Kit was already over budget before this addition: 6 variations exceed the budget of 1.',
+  ]);
+});
+
+test('profile add selects token, default kit, API base and cache partition', async (t) => {
+  const { env, cacheDir, api } = await setupContext(t, { ADOBE_FONTS_API_TOKEN: '', AFONT_API_BASE: '' });
+  const tokenFile = path.join(makeTempDir(t, 'afont-token-'), 'agency.token');
+  fs.writeFileSync(tokenFile, `${TEST_TOKEN}\n`);
+
+  const addRun = await runAfont([
+    'profile', 'add', '--name', 'agency', '--token-file', tokenFile,
+    '--kit', 'marketing-site', '--api-base', api.baseUrl, '--json',
+  ], { env });
+  assertExitCode(addRun, 0);
+  const added = parseJsonOutput(addRun).result.profiles[0];
+  assert.equal(added.default, true);
+  assert.equal(added.token, 'file');
+  const stored = JSON.parse(fs.readFileSync(path.join(env.AFONT_CONFIG_DIR, 'profiles.json'), 'utf8'));
+  assert.equal(stored.profiles.agency.tokenFile, tokenFile);
+
+  const showRun = await runAfont(['kits', 'show', '--json'], { env });
+  assertExitCode(showRun, 0);
+  assert.equal(parseJsonOutput(showRun).result.kit.id, 'kit123');
+
+  const currentRun = await runAfont(['profile', 'current', '--json'], { env });
+  const current = parseJsonOutput(currentRun).result.profile;
+  assert.equal(current.name, 'agency');
+  assert.equal(current.selectedBy, 'default');
+  assert.equal(current.tokenSource, 'profile');
+  assert.equal(current.cacheDir, path.join(cacheDir, 'profiles', 'agency'));
+
+  const statusRun = await runAfont(['index', 'status', '--json'], { env });
+  assert.equal(parseJsonOutput(statusRun).result.cache.dbPath, path.join(cacheDir, 'profiles', 'agency', 'fonts.sqlite3'));
+
+  const unknownRun = await runAfont(['kits', 'list', '--profile', 'client-b', '--json'], { env });
+  assertExitCode(unknownRun, 2);
+
+  const removeRun = await runAfont(['profile', 'remove', '--name', 'agency', '--json'], { env });
+  assertExitCode(removeRun, 0);
+  const listRun = await runAfont(['profile', 'list', '--json'], { env });
+  assert.deepEqual(parseJsonOutput(listRun).result.profiles, []);
+  assertExitCode(await runAfont(['kits', 'list', '--json'], { env }), 2);
+});
+
+test('a profile chosen with --profile uses its own token, kit and endpoint over the environment', async (t) => {
+  const { env, api } = await setupContext(t);
+  const addRun = await runAfont([
+    'profile', 'add', '--name', 'agency', '--token', TEST_TOKEN, '--kit', 'marketing-site', '--api-base', api.baseUrl, '--json',
+  ], { env });
+  assertExitCode(addRun, 0);
+  const otherEnv = {
+    ...env,
+    ADOBE_FONTS_API_TOKEN: 'other-account-token',
+    ADOBE_FONTS_DEFAULT_KIT: 'other-account-kit',
+    AFONT_API_BASE: 'http://127.0.0.1:9/other-account',
+  };
+
+  const flagRun = await runAfont(['kits', 'show', '--profile', 'agency', '--json'], { env: otherEnv });
+  assertExitCode(flagRun, 0);
+  assert.equal(parseJsonOutput(flagRun).result.kit.id, 'kit123');
+  const flagCurrent = parseJsonOutput(await runAfont(['profile', 'current', '--profile', 'agency', '--json'], { env: otherEnv })).result;
+  assert.equal(flagCurrent.profile.tokenSource, 'profile');
+  assert.deepEqual([flagCurrent.profile.defaultKit, flagCurrent.profile.apiBase], ['marketing-site', api.baseUrl]);
+  assert.deepEqual(flagCurrent.warnings, []);
+
+  const defaultCurrent = parseJsonOutput(await runAfont(['profile', 'current', '--json'], { env: otherEnv })).result;
+  assert.equal(defaultCurrent.profile.selectedBy, 'default');
+  assert.equal(defaultCurrent.profile.tokenSource, 'env');
+  assert.deepEqual([defaultCurrent.profile.defaultKit, defaultCurrent.profile.apiBase], ['other-account-kit', 'http://127.0.0.1:9/other-account']);
+  assert.ok(defaultCurrent.warnings.includes('ADOBE_FONTS_API_TOKEN overrides the token of profile agency; pass --profile agency to use the profile\'s token.'));
+});
+
+test('project config supplies defaults below flags and env', async (t) => {
+  const { env } = await setupContext(t);
+  const project = makeTempDir(t, 'afont-project-');
+  const nested = path.join(project, 'apps', 'web');
+  fs.mkdirSync(nested, { recursive: true });
+  fs.writeFileSync(path.join(project, 'afont.config.json'), JSON.stringify({
+    kit: 'marketing-site',
+    httpTimeoutMs: 30000,
+    search: { limit: 3 },
+    view: { width: 1024, outputDir: 'previews' },
+  }));
+  fs.writeFileSync(path.join(env.AFONT_CONFIG_DIR, 'config.json'), JSON.stringify({
+    kit: 'user-kit',
+    cssBase: 'https://fonts.example.test',
+  }));
+
+  const showRun = await runAfont(['config', 'show', '--json'], { env, cwd: nested });
+  assertExitCode(showRun, 0);
+  const { config } = parseJsonOutput(showRun).result;
+  assert.equal(config.projectFile, path.join(project, 'afont.config.json'));
+  const setting = (key) => config.settings.find((item) => item.key === key);
+  assert.deepEqual([setting('kit').value, setting('kit').source], ['marketing-site', 'project']);
+  assert.deepEqual([setting('httpTimeoutMs').value, setting('httpTimeoutMs').source], ['30000', 'project']);
+  assert.deepEqual([setting('cssBase').value, setting('cssBase').source], [env.AFONT_CSS_BASE, 'env']);
+  assert.equal(setting('apiBase').source, 'env');
+  assert.equal(setting('token').source, 'env');
+
+  const envRun = await runAfont(['config', 'show', '--json'], { env: { ...env, ADOBE_FONTS_DEFAULT_KIT: 'env-kit', AFONT_CSS_BASE: '' }, cwd: nested });
+  const envConfig = parseJsonOutput(envRun).result.config;
+  assert.equal(envConfig.settings.find((item) => item.key === 'kit').value, 'env-kit');
+  assert.deepEqual(envConfig.settings.find((item) => item.key === 'cssBase').source, 'user');
+  const flagRun = await runAfont(['config', 'show', '--kit', 'flag-kit', '--json'], { env, cwd: nested });
+  assert.equal(parseJsonOutput(flagRun).result.config.settings.find((item) => item.key === 'kit').source, 'flag');
+
+  const kitRun = await runAfont(['kits', 'show', '--json'], { env, cwd: nested });
+  assertExitCode(kitRun, 0);
+  assert.equal(parseJsonOutput(kitRun).result.kit.id, 'kit123');
+
+  const viewRun = await runAfont(['view', '--family', 'droid-serif', '--dry-run', '--json'], { env, cwd: nested });
+  assertExitCode(viewRun, 0);
+  const { view } = parseJsonOutput(viewRun).result;
+  assert.equal(view.viewport.width, 1024);
+  assert.equal(view.outputDir, path.join(project, 'previews'));
+});
+
+test('project config cannot redirect the API endpoint or cache', async (t) => {
+  const { env, api, cacheDir } = await setupContext(t, { AFONT_API_BASE: '', AFONT_CACHE_DIR: '' });
+  const project = makeTempDir(t, 'afont-project-');
+  const configFile = path.join(project, 'afont.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ apiBase: 'http://127.0.0.1:9/steal', cacheDir: 'cache', search: { limit: 2 } }));
+  fs.writeFileSync(path.join(env.AFONT_CONFIG_DIR, 'config.json'), JSON.stringify({ apiBase: api.baseUrl, cacheDir }));
+
+  const listRun = await runAfont(['kits', 'list', '--json'], { env, cwd: project });
+  assertExitCode(listRun, 0);
+  const listResult = parseJsonOutput(listRun).result;
+  assert.ok(listResult.warnings.includes(
+    `Ignoring "apiBase" in ${configFile}; set it in the environment, a profile or ${path.join(env.AFONT_CONFIG_DIR, 'config.json')}.`,
+  ));
+
+  const { config } = parseJsonOutput(await runAfont(['config', 'show', '--json'], { env, cwd: project })).result;
+  const setting = (key) => config.settings.find((item) => item.key === key);
+  assert.deepEqual([setting('apiBase').value, setting('apiBase').source], [api.baseUrl, 'user']);
+  assert.deepEqual([setting('cacheDir').value, setting('cacheDir').source], [cacheDir, 'user']);
+  assert.equal(fs.existsSync(path.join(project, 'cache')), false);
+});
+
+test('config files cannot supply confirmation flags', async (t) => {
+  const { env, api } = await setupContext(t);
+  const project = makeTempDir(t, 'afont-project-');
+  const configFile = path.join(project, 'afont.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ kits: { delete: { yes: true }, publish: { confirm: true } } }));
+
+  const run = await runAfont(['kits', 'delete', '--kit', 'marketing-site', '--json'], { env, cwd: project });
+  assertExitCode(run, 2);
+  assert.match(parseJsonOutput(run).error.message, /Refusing to delete kit kit123/);
+  assert.ok(findKit(api.state, 'kit123'));
+
+  const dryRun = await runAfont(['kits', 'delete', '--kit', 'marketing-site', '--dry-run', '--json'], { env, cwd: project });
+  assertExitCode(dryRun, 0);
+  assert.ok(parseJsonOutput(dryRun).result.warnings.includes(
+    `Ignoring "yes" in the kits delete section of ${configFile}; --yes can only be passed on the command line.`,
+  ));
+});
+
 test('index status works when cache does not exist', async (t) => {
   const { env } = await setupContext(t);
   const run = await runAfont(['index', 'status', '--json'], { env });
@@ -602,6 +1600,272 @@ test('index refresh builds cache and cache-only search uses sqlite index', async
   assert.ok(searchPayload.result.fonts.some((font) => font.slug === 'droid-serif'));
 });
 
+test('cache-only search applies faceted filters in sqlite', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env } = await setupContext(t);
+  assertExitCode(await runAfont(['index', 'refresh', '--json'], { env }), 0);
+  const search = async (...args) => {
+    const run = await runAfont(['search', '--query', 'fixture', '--cache-only', ...args, '--json'], { env });
+    assertExitCode(run, 0);
+    return parseJsonOutput(run).result.fonts.map((font) => font.slug).sort();
+  };
+
+  assert.deepEqual(await search(), ['adobe-caslon-pro', 'droid-serif', 'source-sans-3']);
+  assert.deepEqual(await search('--has-italic'), ['source-sans-3']);
+  assert.deepEqual(await search('--exclude-foundry', 'ascender'), ['adobe-caslon-pro', 'source-sans-3']);
+  assert.deepEqual(await search('--foundry', 'Ascender'), ['droid-serif']);
+  assert.deepEqual(await search('--weights', '400,700', '--css-stack', 'sans-serif'), ['source-sans-3']);
+  assert.deepEqual(await search('--min-weights', '2'), ['adobe-caslon-pro', 'droid-serif', 'source-sans-3']);
+  assert.deepEqual(await search('--min-weights', '3'), []);
+  assert.deepEqual(await search('--weights', '300'), []);
+});
+
+test('index refresh fills normalized language and variation tables', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env, cacheDir } = await setupContext(t);
+  assertExitCode(await runAfont(['index', 'refresh', '--json'], { env }), 0);
+  const dbPath = path.join(cacheDir, 'fonts.sqlite3');
+  const query = (sql) => JSON.parse(spawnSync('sqlite3', ['-json', dbPath, sql], { encoding: 'utf8' }).stdout || '[]');
+  assert.deepEqual(query("SELECT language FROM family_languages WHERE family_id = 'adobe-caslon-pro' ORDER BY language;"), [
+    { language: 'ben' },
+    { language: 'hi' },
+  ]);
+  assert.deepEqual(query("SELECT fvd, weight, style FROM family_variations WHERE family_id = 'source-sans-3' ORDER BY weight, style;"), [
+    { fvd: 'i4', weight: 400, style: 'italic' },
+    { fvd: 'n4', weight: 400, style: 'normal' },
+    { fvd: 'i7', weight: 700, style: 'italic' },
+    { fvd: 'n7', weight: 700, style: 'normal' },
+  ]);
+  const plan = spawnSync('sqlite3', [dbPath, "EXPLAIN QUERY PLAN SELECT family_id FROM family_variations WHERE weight = 700 AND style = 'italic';"], { encoding: 'utf8' }).stdout;
+  assert.match(plan, /family_variations_weight/);
+
+  const run = await runAfont(['search', '--query', 'fixture', '--language', 'en', '--cache-only', '--json'], { env });
+  assertExitCode(run, 0);
+  assert.deepEqual(parseJsonOutput(run).result.fonts.map((font) => font.slug).sort(), ['droid-serif', 'source-sans-3']);
+});
+
+test('cache-only search falls back to fuzzy matches with didYouMean', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env } = await setupContext(t);
+  assertExitCode(await runAfont(['index', 'refresh', '--json'], { env }), 0);
+
+  const typoRun = await runAfont(['search', '--query', 'droyd serf', '--cache-only', '--json'], { env: { ...env, ADOBE_FONTS_API_TOKEN: '' } });
+  assertExitCode(typoRun, 0);
+  const typo = parseJsonOutput(typoRun).result;
+  assert.equal(typo.fonts[0].slug, 'droid-serif');
+  assert.equal(typo.didYouMean, 'Droid Serif');
+  assert.ok(typo.warnings.some((warning) => warning.includes('showing close matches')));
+
+  const prefixRun = await runAfont(['search', '--query', 'caslan', '--cache-only', '--json'], { env });
+  assert.deepEqual(parseJsonOutput(prefixRun).result.fonts.map((font) => font.slug), ['adobe-caslon-pro']);
+
+  const exactRun = await runAfont(['search', '--query', 'droid', '--cache-only', '--json'], { env });
+  assert.equal(parseJsonOutput(exactRun).result.didYouMean, undefined);
+
+  const noneRun = await runAfont(['search', '--query', 'zzzzqq', '--cache-only', '--json'], { env });
+  assert.deepEqual(parseJsonOutput(noneRun).result.fonts, []);
+});
+
+test('node:sqlite and sqlite3 CLI backends share one cache file', async (t) => {
+  if (!hasNodeSqlite() || !hasSqliteCli()) {
+    t.skip('needs both node:sqlite and the sqlite3 CLI');
+    return;
+  }
+
+  const { env } = await setupContext(t);
+  assertExitCode(await runAfont(['index', 'refresh', '--json'], { env: { ...env, AFONT_SQLITE_BACKEND: 'node' } }), 0);
+
+  for (const backend of ['node', 'cli']) {
+    const backendEnv = { ...env, AFONT_SQLITE_BACKEND: backend };
+    const run = await runAfont(['search', '--query', 'droid', '--weights', '400', '--cache-only', '--json'], { env: backendEnv });
+    assertExitCode(run, 0);
+    assert.deepEqual(parseJsonOutput(run).result.fonts.map((font) => font.slug), ['droid-serif']);
+
+    const quoted = await runAfont(['search', '--query', "droid's", '--foundry', "o'brien", '--cache-only', '--json'], { env: backendEnv });
+    assertExitCode(quoted, 0);
+    assert.deepEqual(parseJsonOutput(quoted).result.fonts, []);
+  }
+});
+
+test('json fallback index supports cache-only search without sqlite', async (t) => {
+  const { env, cacheDir } = await setupContext(t, { AFONT_SQLITE_BACKEND: 'none' });
+  const refreshRun = await runAfont(['index', 'refresh', '--per-page', '2', '--max-pages', '5', '--json'], { env });
+  assertExitCode(refreshRun, 0);
+  const refreshed = parseJsonOutput(refreshRun).result.cache;
+  assert.equal(refreshed.dbPath, path.join(cacheDir, 'catalog.ndjson.gz'));
+  assert.ok(fs.existsSync(path.join(cacheDir, 'catalog-index.json.gz')));
+  assert.equal(fs.existsSync(path.join(cacheDir, 'fonts.sqlite3')), false);
+
+  const status = parseJsonOutput(await runAfont(['index', 'status', '--json'], { env })).result.cache;
+  assert.equal(status.backend, 'json');
+  assert.equal(status.familyCount, refreshed.familyCount);
+  assert.equal(status.stale, false);
+
+  const offline = { ...env, ADOBE_FONTS_API_TOKEN: '' };
+  const slugs = async (args) => {
+    const run = await runAfont(['search', ...args, '--cache-only', '--json'], { env: offline });
+    assertExitCode(run, 0);
+    return parseJsonOutput(run).result;
+  };
+  assert.ok((await slugs(['--query', 'droid'])).fonts.some((font) => font.slug === 'droid-serif'));
+  assert.deepEqual((await slugs(['--query', 'fixture', '--language', 'en'])).fonts.map((font) => font.slug).sort(), ['droid-serif', 'source-sans-3']);
+  assert.deepEqual((await slugs(['--query', 'fixture', '--foundry', 'ascender'])).fonts.map((font) => font.slug), ['droid-serif']);
+  const typo = await slugs(['--query', 'droyd serf']);
+  assert.equal(typo.didYouMean, 'Droid Serif');
+
+  const stats = parseJsonOutput(await runAfont(['index', 'stats', '--json'], { env })).result.stats;
+  assert.equal(stats.familyCount, refreshed.familyCount);
+});
+
+test('json fallback ranks and filters like the sqlite index', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env } = await setupContext(t);
+  const jsonEnv = { ...env, AFONT_SQLITE_BACKEND: 'none' };
+  assertExitCode(await runAfont(['index', 'refresh', '--json'], { env }), 0);
+  assertExitCode(await runAfont(['index', 'refresh', '--json'], { env: jsonEnv }), 0);
+
+  const queries = [
+    ['--query', 'fixture'],
+    ['--query', 'serif', '--classification', 'serif'],
+    ['--query', 'fixture', '--weights', '700', '--has-italic'],
+    ['--query', 'caslan'],
+    ['--query', 'zzzzqq'],
+  ];
+  for (const args of queries) {
+    const results = [];
+    for (const runEnv of [env, jsonEnv]) {
+      const run = await runAfont(['search', ...args, '--cache-only', '--json'], { env: runEnv });
+      assertExitCode(run, 0);
+      const { fonts, didYouMean } = parseJsonOutput(run).result;
+      results.push({ slugs: fonts.map((font) => font.slug), didYouMean });
+    }
+    assert.deepEqual(results[1], results[0], args.join(' '));
+  }
+
+  const stats = [];
+  for (const runEnv of [env, jsonEnv]) {
+    stats.push(parseJsonOutput(await runAfont(['index', 'stats', '--json'], { env: runEnv })).result.stats);
+  }
+  assert.deepEqual(stats[1], stats[0]);
+});
+
+test('fuzzy search filters before capping the candidate pool', async (t) => {
+  const { env, api } = await setupContext(t);
+  for (let i = 0; i < 210; i += 1) {
+    const decoy = fixtureFamily(`droyd-serf-${i}`, { name: `Droyd Serf ${i}`, classification: 'display', cssStack: 'cursive' });
+    api.state.families.push(decoy);
+    api.state.libraryFamilyIds.push(decoy.id);
+  }
+
+  const backends = [{ ...env, AFONT_SQLITE_BACKEND: 'none' }];
+  if (hasSqliteCli()) backends.push(env);
+  for (const runEnv of backends) {
+    assertExitCode(await runAfont(['index', 'refresh', '--json'], { env: runEnv }), 0);
+    const run = await runAfont(['search', '--query', 'droyd serf', '--classification', 'serif', '--cache-only', '--json'], { env: runEnv });
+    assertExitCode(run, 0);
+    assert.equal(parseJsonOutput(run).result.fonts[0]?.slug, 'droid-serif', runEnv.AFONT_SQLITE_BACKEND || 'sqlite');
+  }
+});
+
+test('index migrate upgrades a pre-versioned cache in place', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env, cacheDir } = await setupContext(t);
+  const dbPath = path.join(cacheDir, 'fonts.sqlite3');
+  fs.mkdirSync(cacheDir, { recursive: true });
+  spawnSync('sqlite3', [dbPath, `
+    CREATE TABLE families (id TEXT PRIMARY KEY, slug TEXT, name TEXT NOT NULL, description TEXT, web_link TEXT,
+      classification TEXT, foundry TEXT, css_stack TEXT, languages_json TEXT, variations_json TEXT, updated_at TEXT NOT NULL);
+    CREATE TABLE metadata (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    INSERT INTO families VALUES ('droid-serif', 'droid-serif', 'Droid Serif', '', '', 'serif', 'Ascender', 'serif', '["en"]', '["n4","i7"]', '2024-01-01T00:00:00Z');
+  `]);
+
+  const dryRun = await runAfont(['index', 'migrate', '--dry-run', '--json'], { env });
+  assertExitCode(dryRun, 0);
+  const planned = parseJsonOutput(dryRun).result.schema;
+  assert.equal(planned.fromVersion, 0);
+  assert.deepEqual(planned.pending.map((migration) => migration.version), [1, 2, 3, 4]);
+  const tables = spawnSync('sqlite3', [dbPath, '.tables'], { encoding: 'utf8' }).stdout;
+  assert.doesNotMatch(tables, /family_variations/);
+
+  const statusRun = await runAfont(['index', 'status', '--json'], { env });
+  assertExitCode(statusRun, 0);
+  const { cache } = parseJsonOutput(statusRun).result;
+  assert.equal(cache.schemaVersion, 0);
+  assert.equal(cache.familyCount, 1);
+  assert.deepEqual(cache.pendingMigrations.map((migration) => migration.version), [1, 2, 3, 4]);
+  assert.doesNotMatch(spawnSync('sqlite3', [dbPath, '.tables'], { encoding: 'utf8' }).stdout, /family_variations/);
+
+  const migrateRun = await runAfont(['index', 'migrate', '--json'], { env });
+  assertExitCode(migrateRun, 0);
+  assert.deepEqual(parseJsonOutput(migrateRun).result.schema.applied.map((migration) => migration.version), [1, 2, 3, 4]);
+  assert.equal(spawnSync('sqlite3', [dbPath, 'SELECT COUNT(*) FROM family_variations;'], { encoding: 'utf8' }).stdout.trim(), '2');
+
+  const upToDate = await runAfont(['index', 'migrate', '--dry-run', '--json'], { env });
+  assert.deepEqual(parseJsonOutput(upToDate).result.schema.pending, []);
+});
+
+test('index migrate rebuilds a cache written by a newer schema only on request', async (t) => {
+  if (!hasSqliteCli()) {
+    t.skip('sqlite3 CLI is not available in PATH');
+    return;
+  }
+
+  const { env, cacheDir } = await setupContext(t);
+  assertExitCode(await runAfont(['index', 'refresh', '--json'], { env }), 0);
+  const dbPath = path.join(cacheDir, 'fonts.sqlite3');
+  spawnSync('sqlite3', [dbPath, `
+    UPDATE metadata SET value = '99' WHERE key = 'schema_version';
+    INSERT INTO kit_snapshots (kit_id, kit_name, hash, snapshot_json, created_at)
+      VALUES ('kit123', 'marketing-site', 'abc', '{}', '2024-01-01T00:00:00Z');
+  `]);
+
+  const statusRun = await runAfont(['index', 'status', '--json'], { env });
+  assertExitCode(statusRun, 0);
+  const statusResult = parseJsonOutput(statusRun).result;
+  assert.equal(statusResult.cache.schemaVersion, 99);
+  assert.ok(statusResult.warnings.some((warning) => warning.includes('index migrate --rebuild')));
+
+  const searchRun = await runAfont(['search', '--query', 'droid', '--cache-only', '--json'], { env });
+  assertExitCode(searchRun, 1);
+  assert.match(parseJsonOutput(searchRun).error.message, /newer than this afont supports .*index migrate --rebuild/);
+  const plainRun = await runAfont(['index', 'migrate', '--json'], { env });
+  assertExitCode(plainRun, 1);
+  assert.equal(fs.readdirSync(cacheDir).filter((name) => name.endsWith('.bak')).length, 0);
+
+  const run = await runAfont(['index', 'migrate', '--rebuild', '--json'], { env });
+  assertExitCode(run, 0);
+  const { schema, warnings } = parseJsonOutput(run).result;
+  assert.equal(schema.fromVersion, 99);
+  assert.equal(schema.rebuilt, true);
+  assert.equal(schema.snapshotsCopied, 1);
+  assert.ok(fs.existsSync(schema.backupPath));
+  assert.ok(warnings.some((warning) => warning.includes('rebuilt')));
+  assert.equal(spawnSync('sqlite3', [dbPath, 'SELECT kit_id FROM kit_snapshots;'], { encoding: 'utf8' }).stdout.trim(), 'kit123');
+  const status = parseJsonOutput(await runAfont(['index', 'status', '--json'], { env })).result.cache;
+  assert.equal(status.schemaVersion, 4);
+  assert.equal(status.familyCount, 0);
+});
+
 test('index stats reports aggregate cache counts', async (t) => {
   if (!hasSqliteCli()) {
     t.skip('sqlite3 CLI is not available in PATH');